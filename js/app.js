@@ -9,38 +9,174 @@ const CONFIG = {
     DOT_R: 3,
     DOT_A: 0.55,
 
+    // Hexbin / density render modes (feet)
+    HEX_RADIUS_FT: 1.5,
+    HEX_FG_RANGE: 0.15,       // FG% vs league mapped to the ends of the color scale
+    HEX_LEAGUE_PRIOR: 20,     // shrink sparse league bins toward the season FG%
+    DENSITY_BANDWIDTH_FT: 1.5,
+    DENSITY_THRESHOLDS: 14,
+    DENSITY_A: 0.75,
+
+    // Clickable zone overlay
+    ZONE_FILL: 'rgba(255,165,0,0.08)',
+    ZONE_STROKE: 'rgba(0,0,0,0.15)',
+    ZONE_HOVER_FILL: 'rgba(30, 136, 229, 0.25)',
+    ZONE_HOVER_STROKE: 'rgba(0,0,0,0.4)',
+
+    // Choropleth zones: color range (± vs league) per metric, fill opacity,
+    // and the attempts a zone needs before it is colored
+    CHORO_RANGE: { fg: 0.10, pps: 0.25, share: 0.10 },
+    CHORO_A: 0.6,
+    CHORO_MIN_FGA: 5,
+
     // Court geometry
     HOOP_Y: 5.25,
-    ORIGIN_AT_RIM: false,
-
-    // Jitter for 2016-2017 seasons
-    JITTER_16_17: 0.2,
-
-    // 2020-2022 scaling constants
-    A_2020_22: 10.021576503177235,
-    B_2020_22: -58.588293955235294,
-    SCALE_2020_22: 1.0175,
 
     // Animation
     AUTOPLAY_DELAY_MS: 1000,
 
+    // Game clock (seconds)
+    PERIOD_SECS: 720,
+    CLUTCH_SECS: 300,
+
+    // Compare mode side colors
+    SIDE_A_COLOR: '#58a6ff',
+    SIDE_B_COLOR: '#f47521',
+
     // Three-point geometry
     THREE_R: 23.75,
-    CORNER: 22
+    CORNER: 22,
+
+    // League baseline: distance band edges (ft) and the minimum attempts
+    // a zone/band cell needs before it is trusted over the zone average
+    DISTANCE_BANDS: [4, 8, 16, 24],
+    BASELINE_MIN_FGA: 25
 };
 
+const DEFAULT_AUTOPLAY_DELAY_MS = CONFIG.AUTOPLAY_DELAY_MS;
+
 // Computed values
 CONFIG.Y_BREAK = CONFIG.HOOP_Y + Math.sqrt(CONFIG.THREE_R * CONFIG.THREE_R - CONFIG.CORNER * CONFIG.CORNER);
 CONFIG.THETA = Math.acos(CONFIG.CORNER / CONFIG.THREE_R);
 CONFIG.ARC_LEFT = Math.PI - CONFIG.THETA;
 CONFIG.ARC_RIGHT = CONFIG.THETA;
 
-// Random normal generator for jitter
-const randn = () => {
-    let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v) * CONFIG.JITTER_16_17;
+// Basic zones in display order, with short labels for tiles
+const ZONE_ORDER = [
+    'Restricted Area',
+    'In The Paint (Non-RA)',
+    'Mid-Range',
+    'Left Corner 3',
+    'Right Corner 3',
+    'Above the Break 3'
+];
+
+const ZONE_SHORT_NAMES = {
+    'Restricted Area': 'Restricted',
+    'In The Paint (Non-RA)': 'Paint',
+    'Mid-Range': 'Mid-Range',
+    'Left Corner 3': 'L Corner 3',
+    'Right Corner 3': 'R Corner 3',
+    'Above the Break 3': 'Above Break 3'
+};
+
+// Detailed zones: ZONE_RANGE band x ZONE_NAME area (the NBA 14-zone grid).
+// Angles are degrees around the hoop, 0 = the +x ("Left") sideline and
+// 90 = straight out. Radii are feet; 'three' follows the 3PT line and
+// 'court' runs to the edge of the half court.
+const ZONE_RANGES = ['Less Than 8 ft.', '8-16 ft.', '16-24 ft.', '24+ ft.'];
+const THETA_DEG = CONFIG.THETA * 180 / Math.PI;   // where the corner 3 meets the arc
+
+const DETAIL_ZONES = [
+    { range: 'Less Than 8 ft.', area: 'Center', r: [0, 8], a: [-90, 270] },
+    { range: '8-16 ft.', area: 'Left Side', r: [8, 16], a: [-90, 60] },
+    { range: '8-16 ft.', area: 'Center', r: [8, 16], a: [60, 120] },
+    { range: '8-16 ft.', area: 'Right Side', r: [8, 16], a: [120, 270] },
+    { range: '16-24 ft.', area: 'Left Side', r: [16, 'three'], a: [-90, 36] },
+    { range: '16-24 ft.', area: 'Left Side Center', r: [16, 'three'], a: [36, 72] },
+    { range: '16-24 ft.', area: 'Center', r: [16, 'three'], a: [72, 108] },
+    { range: '16-24 ft.', area: 'Right Side Center', r: [16, 'three'], a: [108, 144] },
+    { range: '16-24 ft.', area: 'Right Side', r: [16, 'three'], a: [144, 270] },
+    { range: '24+ ft.', area: 'Left Side', r: ['three', 'court'], a: [-90, THETA_DEG] },
+    { range: '24+ ft.', area: 'Left Side Center', r: ['three', 'court'], a: [THETA_DEG, 72] },
+    { range: '24+ ft.', area: 'Center', r: ['three', 'court'], a: [72, 108] },
+    { range: '24+ ft.', area: 'Right Side Center', r: ['three', 'court'], a: [108, 180 - THETA_DEG] },
+    { range: '24+ ft.', area: 'Right Side', r: ['three', 'court'], a: [180 - THETA_DEG, 270] }
+].map(z => ({ ...z, key: `${z.area}|${z.range}` }));
+
+const DETAIL_AREA_SHORT = {
+    'Left Side': 'L',
+    'Left Side Center': 'LC',
+    'Center': 'C',
+    'Right Side Center': 'RC',
+    'Right Side': 'R'
+};
+
+const subZoneKey = (d) => `${d.ZONE_NAME}|${d.ZONE_RANGE}`;
+const subZoneLabel = (key) => {
+    const [area, range] = key.split('|');
+    return `${DETAIL_AREA_SHORT[area] || area} ${range.replace('Less Than ', '<').replace(' ft.', ' ft')}`;
+};
+
+// TEAM_NAME -> HOME_TEAM / AWAY_TEAM abbreviation, including relocated and
+// renamed teams. The data worker uses it to find each shot's opponent.
+const TEAM_ABBR = {
+    'Atlanta Hawks': 'ATL',
+    'Boston Celtics': 'BOS',
+    'Brooklyn Nets': 'BKN',
+    'Charlotte Bobcats': 'CHA',
+    'Charlotte Hornets': 'CHA',
+    'Chicago Bulls': 'CHI',
+    'Cleveland Cavaliers': 'CLE',
+    'Dallas Mavericks': 'DAL',
+    'Denver Nuggets': 'DEN',
+    'Detroit Pistons': 'DET',
+    'Golden State Warriors': 'GSW',
+    'Houston Rockets': 'HOU',
+    'Indiana Pacers': 'IND',
+    'LA Clippers': 'LAC',
+    'Los Angeles Clippers': 'LAC',
+    'Los Angeles Lakers': 'LAL',
+    'Memphis Grizzlies': 'MEM',
+    'Miami Heat': 'MIA',
+    'Milwaukee Bucks': 'MIL',
+    'Minnesota Timberwolves': 'MIN',
+    'New Jersey Nets': 'NJN',
+    'New Orleans Hornets': 'NOH',
+    'New Orleans/Oklahoma City Hornets': 'NOK',
+    'New Orleans Pelicans': 'NOP',
+    'New York Knicks': 'NYK',
+    'Oklahoma City Thunder': 'OKC',
+    'Orlando Magic': 'ORL',
+    'Philadelphia 76ers': 'PHI',
+    'Phoenix Suns': 'PHX',
+    'Portland Trail Blazers': 'POR',
+    'Sacramento Kings': 'SAC',
+    'San Antonio Spurs': 'SAS',
+    'Seattle SuperSonics': 'SEA',
+    'Toronto Raptors': 'TOR',
+    'Utah Jazz': 'UTA',
+    'Washington Wizards': 'WAS'
+};
+
+// Season ranges are [first, last] years, inclusive (the year a season
+// ended). The full span means "all seasons".
+const FIRST_SEASON = 2004;
+const LAST_SEASON = 2024;
+// Pre- and post-2014 split the full span between them
+const SEASON_ERAS = [
+    { label: 'Pre-2014', seasons: [2004, 2013] },
+    { label: 'Post-2014', seasons: [2014, 2024] },
+    { label: 'Pace and space', seasons: [2017, 2024] }
+];
+
+const isAllSeasons = ([from, to]) => from === FIRST_SEASON && to === LAST_SEASON;
+const singleSeason = ([from, to]) => from === to ? from : null;
+const seasonYears = ([from, to]) => d3.range(from, to + 1);
+const seasonKey = (filters) => filters.seasons.join('-');
+const fmtSeasons = ([from, to]) => {
+    if (isAllSeasons([from, to])) return 'All Seasons';
+    return from === to ? String(from) : `${from}–${to}`;
 };
 
 // ============================================
@@ -49,120 +185,478 @@ const randn = () => {
 let allData = [];
 let cf = null;
 let dimensions = {};
-let currentFilters = {
-    season: 'all',  // 'all' or a year number (2004-2024)
+let groups = {};
+const DEFAULT_FILTERS = {
+    seasons: [FIRST_SEASON, LAST_SEASON],  // [first, last] season, inclusive
     teams: [],
+    opponents: [],  // opponent abbreviations, as in HOME_TEAM / AWAY_TEAM
+    venue: 'all',   // 'all', 'home' or 'away'
+    dates: null,    // null or [from, to] ISO game dates, inclusive; '' leaves a side open
     positions: [],
     players: [],
     zones: [],
-    shotResult: 'all'
+    subZones: [],   // 'ZONE_NAME|ZONE_RANGE' keys, picked in detailed zone mode
+    regions: [],    // custom region ids; shots inside any of them
+    actions: [],    // ACTION_TYPE values (Jump Shot, Layup Shot, ...)
+    shotResult: 'all',
+    shotType: 'all',  // 'all', '2PT' or '3PT'
+    quarters: [],   // 1-4, 5 = any overtime period
+    timeLeft: null, // null or [minSecs, maxSecs] left in the period
+    distance: null  // null or [minFt, maxFt] in whole feet, inclusive
 };
+let currentFilters = JSON.parse(JSON.stringify(DEFAULT_FILTERS));
 let isPlaying = false;
-let playInterval = null;
+let playFrame = null;
 let leagueFg = 0;
-
-let chartWidth, chartHeight, xScale, yScale, ctx, CX, CY, zonesLayer;
+let renderMode = 'scatter';  // 'scatter', 'hexbin' or 'density'
+let trendMetric = 'freq';    // 'freq' or 'fg'
+const leagueBaselines = new Map();
+const hexLeagueCache = new Map();
+// Filter key each crossfilter dimension currently has (null = unfiltered)
+const appliedFilters = new Map();
+
+let mainChart = null;
+
+// Compare mode: two independent filter sets, each with its own court.
+// currentFilters always points at the side being edited.
+let compareMode = false;
+let activeSide = 'A';
+let showDiffCourt = false;
+let filterStates = { A: currentFilters, B: null };
+let compareCharts = {};
+let timeBrush = null;
+let zoneFill = 'none';      // zone choropleth: 'none', 'fg', 'pps' or 'share'
+let zoneMode = 'basic';     // court zones: 'basic' (BASIC_ZONE) or 'detail' (14 zones)
+let selectTool = 'zones';   // court pointer tool: 'zones', 'box', 'lasso', or 'polygon' / 'circle' to draw a region
 
 // ============================================
 // Utility Functions
 // ============================================
-const toFeet = (v) => {
-    const n = +v;
-    return Math.abs(n) > 60 ? n / 10 : n;
-};
-
 const fmtInt = (n) => n.toLocaleString();
 const fmtPct = (v) => (v * 100).toFixed(1) + '%';
 const fmtPctDiff = (v) => v >= 0 ? `+${(v * 100).toFixed(1)} pp` : `${(v * 100).toFixed(1)} pp`;
+const fmtSigned = (v, digits = 1) => (v >= 0 ? '+' : '') + v.toFixed(digits);
+const fmtClock = (secs) => `${Math.floor(secs / 60)}:${String(Math.round(secs % 60)).padStart(2, '0')}`;
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
 
 // ============================================
-// Data Loading
+// Coordinate Calibration
 // ============================================
+// Raw LOC_X/LOC_Y -> court feet, per season. The worker implements each
+// transform type; this table picks one per season. Keys are years or
+// ranges ("2020-2022"); seasons without an entry use `default`.
+//   feet:   values in feet, or tenths of a foot when |v| > 60;
+//           originAtRim measures y from the hoop instead of the baseline
+//   linear: x = x[0] * raw + x[1], y = y[0] * raw + y[1]
+// Any entry may add `jitter` (ft, normal sigma).
+// data/calibration.json, when present, overrides entries with the same shape.
+const CALIBRATION_URL = 'data/calibration.json';
+const CALIBRATION_TYPES = ['feet', 'linear'];
+
+// 2020-22 fit: feet from the hoop = SCALE * (A * LOC_Y + B), x mirrored
+const FIT_2020_22 = { A: 10.021576503177235, B: -58.588293955235294, SCALE: 1.0175 };
+
+const DEFAULT_CALIBRATION = {
+    default: { type: 'feet', originAtRim: false },
+    seasons: {
+        // Locations snap to a coarse grid; spread them out
+        '2016-2017': { type: 'feet', originAtRim: false, jitter: 0.2 },
+        '2020-2022': {
+            type: 'linear',
+            x: [-10 * FIT_2020_22.SCALE, 0],
+            y: [FIT_2020_22.SCALE * FIT_2020_22.A, CONFIG.HOOP_Y + FIT_2020_22.SCALE * FIT_2020_22.B]
+        }
+    }
+};
 
-// Set to true to load full data from yearly files, false for sampled data
-const USE_FULL_DATA = false;
+// Resolved table: { default, seasons: { year: entry }, source: { year: 'default' | 'file' }, warnings }
+let calibration = null;
 
-async function loadData() {
-    const loadingProgress = document.getElementById('loading-progress');
+// Expand "2020-2022" style keys into single years
+function expandSeasonKeys(seasons) {
+    const out = {};
+    Object.entries(seasons || {}).forEach(([key, entry]) => {
+        const [from, to = from] = key.split('-').map(Number);
+        d3.range(from, to + 1).forEach(year => { out[year] = entry; });
+    });
+    return out;
+}
+
+// Returns a problem description, or null for a usable entry
+function validateCalibration(entry) {
+    if (!entry || !CALIBRATION_TYPES.includes(entry.type)) return `unknown type "${entry && entry.type}"`;
+    const isPair = (v) => Array.isArray(v) && v.length === 2 && v.every(Number.isFinite);
+    if (entry.type === 'linear' && !(isPair(entry.x) && isPair(entry.y))) return 'linear needs x and y as [scale, offset]';
+    if (entry.jitter !== undefined && !(entry.jitter >= 0)) return 'jitter must be a non-negative number';
+    return null;
+}
+
+function resolveCalibration(overrides) {
+    const table = {
+        default: DEFAULT_CALIBRATION.default,
+        seasons: expandSeasonKeys(DEFAULT_CALIBRATION.seasons),
+        source: {},
+        warnings: []
+    };
+    if (!overrides) return table;
+
+    const accept = (label, entry) => {
+        const problem = validateCalibration(entry);
+        if (problem) table.warnings.push(`${label}: ${problem}`);
+        return !problem;
+    };
+
+    if (overrides.default && accept('default', overrides.default)) {
+        table.default = overrides.default;
+        table.source.default = 'file';
+    }
+    Object.entries(expandSeasonKeys(overrides.seasons)).forEach(([year, entry]) => {
+        if (!SEASONS.includes(+year)) {
+            table.warnings.push(`${year}: not a season in the dataset`);
+        } else if (accept(year, entry)) {
+            table.seasons[year] = entry;
+            table.source[year] = 'file';
+        }
+    });
+    return table;
+}
 
+// Load data/calibration.json if it exists; defaults otherwise
+async function loadCalibration() {
+    let overrides = null;
+    let readError = null;
     try {
-        let rawData = [];
-
-        if (USE_FULL_DATA) {
-            // Load all yearly files
-            const years = [];
-            for (let y = 2004; y <= 2024; y++) years.push(y);
-
-            for (let i = 0; i < years.length; i++) {
-                const year = years[i];
-                const url = `../../data/NBA_${year}_Shots.csv`;
-                console.log(`Loading ${year}...`);
-
-                try {
-                    const yearData = await d3.csv(url);
-                    rawData = rawData.concat(yearData);
-                    loadingProgress.style.width = `${((i + 1) / years.length * 100).toFixed(0)}%`;
-                } catch (e) {
-                    console.warn(`Could not load ${url}:`, e.message);
-                }
+        const response = await fetch(CALIBRATION_URL);
+        if (response.ok) overrides = await response.json();
+    } catch (error) {
+        readError = `${CALIBRATION_URL}: ${error.message}`;
+    }
+    calibration = resolveCalibration(overrides);
+    if (readError) calibration.warnings.unshift(readError);
+    calibration.warnings.forEach(w => console.warn(`Calibration ${w}`));
+    return calibration;
+}
+
+const calibrationFor = (year) => calibration.seasons[year] || calibration.default;
+
+// ============================================
+// Data Loading
+// ============================================
+
+// 'sample' loads the bundled sample file. 'full' loads the yearly files
+// lazily: the seasons in view first, the rest as the slider or autoplay
+// reaches them. New rows are added to the existing crossfilter.
+let datasetMode = 'sample';
+let datasetGeneration = 0;        // bumped on a dataset switch; stale loads are ignored
+const seasonStatus = new Map();   // year -> 'queued' | 'loading' | 'loaded' | 'failed'
+const loadFailures = new Map();   // file id -> error message
+let seasonQueue = [];
+let seasonLoadsInFlight = 0;
+let refreshTimer = null;
+
+const SEASON_REFRESH_MS = 150;
+const PREFETCH_SEASONS = 2;
+
+const sampleFile = { id: 'sample', url: 'data/nba_shots_sampled.csv' };
+const seasonFile = (year) => ({ id: String(year), url: `../../data/NBA_${year}_Shots.csv` });
+
+// Fetching, parsing and coordinate normalization run in js/data-worker.js;
+// rows arrive here in batches.
+const LOAD_CONCURRENCY = 4;
+let dataWorker = null;
+let loadRequestId = 0;
+const activeLoads = new Set();
+
+// Config values the worker needs for normalization
+const workerConfig = () => ({
+    HOOP_Y: CONFIG.HOOP_Y,
+    DISTANCE_BANDS: CONFIG.DISTANCE_BANDS,
+    TEAM_ABBR,
+    calibration: { default: calibration.default, seasons: calibration.seasons }
+});
+
+// Load files ({ id, url }) through the worker. Calls onRows(rows, id) per
+// batch and onProgress(id, loaded, total) as bytes arrive. Resolves with the
+// ids that loaded and the ones that failed.
+function loadFiles(files, { onRows, onProgress } = {}) {
+    if (!dataWorker) dataWorker = new Worker('js/data-worker.js');
+    const requestId = ++loadRequestId;
+    const result = { loaded: [], failed: [] };
+    activeLoads.add(requestId);
+
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            activeLoads.delete(requestId);
+            dataWorker.removeEventListener('message', handleMessage);
+            dataWorker.removeEventListener('error', handleError);
+        };
+        const handleMessage = (event) => {
+            const msg = event.data;
+            if (msg.requestId !== requestId) return;
+
+            if (msg.type === 'rows') {
+                if (onRows) onRows(msg.rows, msg.id);
+            } else if (msg.type === 'progress') {
+                if (onProgress) onProgress(msg.id, msg.loaded, msg.total);
+            } else if (msg.type === 'fileDone') {
+                result.loaded.push(msg.id);
+            } else if (msg.type === 'fileError') {
+                console.warn(`Could not load ${msg.id}:`, msg.message);
+                result.failed.push({ id: msg.id, message: msg.message });
+            } else if (msg.type === 'done') {
+                finish();
+                resolve(result);
             }
-        } else {
-            // Load sampled data
-            rawData = await d3.csv('data/nba_shots_sampled.csv');
-            loadingProgress.style.width = '100%';
+        };
+        const handleError = (event) => {
+            finish();
+            reject(new Error(event.message || 'Data worker failed'));
+        };
+
+        dataWorker.addEventListener('message', handleMessage);
+        dataWorker.addEventListener('error', handleError);
+        dataWorker.postMessage({
+            type: 'load',
+            requestId,
+            files: files.map(f => ({ id: f.id, url: new URL(f.url, location.href).href })),
+            config: workerConfig(),
+            concurrency: LOAD_CONCURRENCY
+        });
+    });
+}
+
+// Stop every load in flight (their promises still resolve)
+function cancelLoads() {
+    activeLoads.forEach(requestId => dataWorker.postMessage({ type: 'cancel', requestId }));
+}
+
+// New rows go into allData and, once it exists, the crossfilter
+function addRows(rows) {
+    for (const row of rows) allData.push(row);
+    indexRows(rows);
+    if (cf) cf.add(rows);
+}
+
+function recordLoadResult(result) {
+    result.loaded.forEach(id => {
+        if (id !== 'sample') seasonStatus.set(+id, 'loaded');
+    });
+    result.failed.forEach(f => {
+        loadFailures.set(f.id, f.message);
+        if (f.id !== 'sample') seasonStatus.set(+f.id, 'failed');
+    });
+}
+
+// Files to load up front: the sample, or only the latest season of each
+// range in view
+function initialFiles(seasons) {
+    if (datasetMode === 'sample') return [sampleFile];
+    const years = [...new Set(seasons)];
+    years.forEach(year => seasonStatus.set(year, 'loading'));
+    return years.map(seasonFile);
+}
+
+// Load files behind the loading overlay with per-file progress
+async function loadData(files) {
+    const overlay = document.getElementById('loading-overlay');
+    const loadingProgress = document.getElementById('loading-progress');
+    const fileList = document.getElementById('loading-files');
+    const progress = new Map(files.map(f => [f.id, { loaded: 0, total: 0 }]));
+    const generation = datasetGeneration;
+
+    overlay.classList.remove('hidden');
+    loadingProgress.style.width = '0%';
+
+    // One chip per file in the overlay, filled as its bytes arrive
+    const chips = d3.select(fileList).selectAll('.loading-file')
+        .data(files, f => f.id)
+        .join('span')
+        .attr('class', 'loading-file')
+        .text(f => f.id === 'sample' ? 'Sample' : `'${f.id.slice(2)}`)
+        .attr('title', f => f.id);
+
+    const updateProgress = () => {
+        // Files without a Content-Length count as half done until they finish
+        let done = 0;
+        progress.forEach(p => {
+            done += p.total ? Math.min(p.loaded / p.total, 1) : (p.loaded ? 0.5 : 0);
+        });
+        loadingProgress.style.width = `${(done / files.length * 100).toFixed(0)}%`;
+        chips.style('--file-progress', f => {
+            const p = progress.get(f.id);
+            return p.total ? `${(p.loaded / p.total * 100).toFixed(0)}%` : '0%';
+        });
+    };
+
+    const result = await loadFiles(files, {
+        onRows: (rows) => {
+            if (generation === datasetGeneration) addRows(rows);
+        },
+        onProgress: (id, loaded, total) => {
+            Object.assign(progress.get(id), { loaded, total });
+            updateProgress();
         }
+    });
+    if (generation !== datasetGeneration) return allData;
 
-        // Process each row with coordinate transformations
-        allData = rawData.map((d, i) => {
-            const year = +d.SEASON_1;
-            const locX = +d.LOC_X;
-            const locY = +d.LOC_Y;
-
-            let xTrue, yTrue;
-
-            // Apply season-specific coordinate transformations
-            if (year >= 2020 && year <= 2022) {
-                const baseX = 10 * locX;
-                const baseVert = CONFIG.A_2020_22 * locY + CONFIG.B_2020_22;
-                const xAdj = CONFIG.SCALE_2020_22 * baseX;
-                const vertAdj = CONFIG.SCALE_2020_22 * baseVert;
-                xTrue = -xAdj;
-                yTrue = CONFIG.HOOP_Y + vertAdj;
-            } else if (year === 2016 || year === 2017) {
-                const xFeet = toFeet(locX);
-                const yFeet = CONFIG.ORIGIN_AT_RIM ? CONFIG.HOOP_Y + toFeet(locY) : toFeet(locY);
-                xTrue = xFeet + randn();
-                yTrue = yFeet + randn();
-            } else {
-                const xFeet = toFeet(locX);
-                const yRaw = toFeet(locY);
-                xTrue = xFeet;
-                yTrue = CONFIG.ORIGIN_AT_RIM ? CONFIG.HOOP_Y + yRaw : yRaw;
+    recordLoadResult(result);
+    const failedIds = new Set(result.failed.map(f => f.id));
+    chips.classed('loaded', f => !failedIds.has(f.id))
+        .classed('failed', f => failedIds.has(f.id));
+    loadingProgress.style.width = '100%';
+    showLoadWarning();
+
+    console.log(`Loaded ${allData.length.toLocaleString()} shots`);
+    return allData;
+}
+
+// Queue seasons for background loading. Urgent ones jump the queue.
+function requestSeasons(years, urgent = false) {
+    const ordered = urgent ? years.slice().reverse() : years;
+    ordered.forEach(year => {
+        const status = seasonStatus.get(year);
+        if (status && !(urgent && status === 'queued')) return;
+        seasonQueue = seasonQueue.filter(y => y !== year);
+        if (urgent) seasonQueue.unshift(year);
+        else seasonQueue.push(year);
+        seasonStatus.set(year, 'queued');
+    });
+    pumpSeasonQueue();
+    renderSeasonStatus();
+}
+
+function pumpSeasonQueue() {
+    while (seasonLoadsInFlight < LOAD_CONCURRENCY && seasonQueue.length > 0) {
+        const year = seasonQueue.shift();
+        const generation = datasetGeneration;
+        seasonStatus.set(year, 'loading');
+        seasonLoadsInFlight++;
+
+        loadFiles([seasonFile(year)], {
+            onRows: (rows) => {
+                if (generation === datasetGeneration) addRows(rows);
             }
+        }).catch(error => ({ loaded: [], failed: [{ id: String(year), message: error.message }] }))
+            .then(result => {
+                if (generation !== datasetGeneration) return;
+                seasonLoadsInFlight--;
+                recordLoadResult(result);
+                scheduleSeasonRefresh();
+                pumpSeasonQueue();
+            });
+    }
+}
 
-            return {
-                ...d,
-                _x: xTrue,
-                _y: yTrue,
-                _made: d.SHOT_MADE === 'True' || d.SHOT_MADE === 'true' || d.SHOT_MADE === '1' || d.SHOT_MADE === true,
-                _player: d.PLAYER_NAME || '',
-                _team: d.TEAM_NAME || '',
-                _pos: d.POSITION_GROUP || d.POSITION || '',
-                _zone: d.BASIC_ZONE || d.SHOT_ZONE_BASIC || '',
-                SEASON_1: String(year),
-                LOC_X: +d.LOC_X,
-                LOC_Y: +d.LOC_Y,
-                SHOT_DISTANCE: +d.SHOT_DISTANCE
-            };
-        }).filter(d => d._pos && d._pos.trim() !== '');
-
-        console.log(`Loaded ${allData.length.toLocaleString()} shots`);
-        return allData;
+// Seasons the view needs now, plus the next few for autoplay. A chosen
+// range jumps the queue; all seasons load in the background.
+function ensureSeasonsLoaded() {
+    if (datasetMode !== 'full') return;
 
-    } catch (error) {
-        console.error('Error loading data:', error);
-        throw error;
+    const sides = compareMode ? [filterStates.A, filterStates.B] : [currentFilters];
+    sides.forEach(({ seasons }) => {
+        requestSeasons(seasonYears(seasons), !isAllSeasons(seasons));
+        requestSeasons(d3.range(seasons[1] + 1, Math.min(seasons[1] + 1 + PREFETCH_SEASONS, LAST_SEASON + 1)));
+    });
+    // The player profile covers a whole career
+    if (profilePlayer()) requestSeasons(SEASONS);
+}
+
+const isSeasonReady = (year) => datasetMode === 'sample' ||
+    ['loaded', 'failed'].includes(seasonStatus.get(year));
+
+// Redraw after season loads, at most once per SEASON_REFRESH_MS
+function scheduleSeasonRefresh() {
+    renderSeasonStatus();
+    if (refreshTimer) return;
+    refreshTimer = setTimeout(() => {
+        refreshTimer = null;
+        leagueBaselines.clear();
+        hexLeagueCache.clear();
+        teamContextCache.clear();
+        showLoadWarning();
+        if (checkPendingUrlValues()) syncFilterControls();
+        else populateFilters();
+        updateVisualization();
+    }, SEASON_REFRESH_MS);
+}
+
+async function switchDataset(mode) {
+    if (mode === datasetMode) return;
+
+    stopPlayback();
+    cancelLoads();
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    datasetMode = mode;
+    datasetGeneration++;
+    seasonStatus.clear();
+    loadFailures.clear();
+    seasonQueue = [];
+    seasonLoadsInFlight = 0;
+
+    // Same crossfilter, new records
+    cf.remove(() => true);
+    allData = [];
+    seasonIndex.clear();
+    leagueBaselines.clear();
+    hexLeagueCache.clear();
+    teamContextCache.clear();
+    syncDatasetControls();
+    renderSeasonStatus();
+
+    const generation = datasetGeneration;
+    const sides = compareMode ? [filterStates.A, filterStates.B] : [currentFilters];
+    await loadData(initialFiles(sides.map(f => f.seasons[1])));
+    if (generation !== datasetGeneration) return;
+
+    document.getElementById('loading-overlay').classList.add('hidden');
+    if (checkPendingUrlValues()) syncFilterControls();
+    else populateFilters();
+    updateVisualization();
+}
+
+function syncDatasetControls() {
+    document.getElementById(`data-${datasetMode}`).checked = true;
+}
+
+// Season strip under the slider: one cell per season, colored by status
+function renderSeasonStatus() {
+    const statusOf = (year) => datasetMode === 'sample' ? 'loaded' : (seasonStatus.get(year) || 'pending');
+
+    d3.select('#seasonStatus').selectAll('.season-cell')
+        .data(SEASONS)
+        .join('span')
+        .attr('class', year => `season-cell ${statusOf(year)}`)
+        .attr('title', year => `${year}: ${statusOf(year)}`);
+
+    const label = document.getElementById('datasetStatus');
+    if (datasetMode === 'sample') {
+        label.textContent = 'Sampled shots, all seasons';
+        return;
+    }
+    const loaded = SEASONS.filter(year => seasonStatus.get(year) === 'loaded').length;
+    const loading = SEASONS.filter(year => ['queued', 'loading'].includes(seasonStatus.get(year))).length;
+    label.textContent = `${loaded}/${SEASONS.length} seasons loaded` + (loading ? ` · ${loading} loading` : '');
+}
+
+// Persistent notice listing files that failed to load
+function showLoadWarning() {
+    const alert = document.getElementById('loadWarning');
+    if (loadFailures.size === 0) {
+        alert.classList.add('d-none');
+        return;
     }
+    const ids = [...loadFailures.keys()];
+    const seasons = ids.filter(id => id !== 'sample').sort();
+    const what = seasons.length === 0 ? 'the sample data'
+        : `${seasons.length === 1 ? 'season' : 'seasons'} ${seasons.join(', ')}`;
+    const reasons = [...new Set(loadFailures.values())].join('; ');
+    // Failed seasons in sample mode mean init fell back to the sample
+    const shown = datasetMode === 'sample' && seasons.length > 0
+        ? 'Showing the sampled data instead.' : 'Charts show the remaining data.';
+    alert.querySelector('.load-warning-text').textContent =
+        `Could not load ${what} (${reasons}). ${shown}`;
+    alert.classList.remove('d-none');
 }
 
 // ============================================
@@ -170,53 +664,233 @@ async function loadData() {
 // ============================================
 function setupCrossfilter(data) {
     cf = crossfilter(data);
+    appliedFilters.clear();
 
     dimensions = {
-        season: cf.dimension(d => d.SEASON_1),
+        season: cf.dimension(d => +d.SEASON_1),
         team: cf.dimension(d => d._team),
         position: cf.dimension(d => d._pos),
         player: cf.dimension(d => d._player),
         zone: cf.dimension(d => d._zone),
         shotMade: cf.dimension(d => d._made),
         shotType: cf.dimension(d => d.SHOT_TYPE),
+        action: cf.dimension(d => d.ACTION_TYPE || ''),
+        distance: cf.dimension(d => d.SHOT_DISTANCE || 0),
+        opponent: cf.dimension(d => d._opp || ''),
+        venue: cf.dimension(d => d._home === null ? '' : (d._home ? 'home' : 'away')),
+        date: cf.dimension(d => d._date || ''),
+        subZone: cf.dimension(subZoneKey),
+        quarter: cf.dimension(d => Math.min(d._quarter, 5)),
+        // Rows without a clock sort below 0, outside every time-left range
+        timeLeft: cf.dimension(d => d._secsLeft === null ? -1 : d._secsLeft),
+        cell: cf.dimension(shotCellKey),
+        // Never filtered; '' for shots near the center line
+        side: cf.dimension(d => shotSide(d) || ''),
+        // Every custom region a shot is in (regions may overlap)
+        region: cf.dimension(shotRegionIds, true),
         all: cf.dimension(d => d)
     };
 
-    return { cf, dimensions };
+    // Per-season zone tallies. A group ignores its own dimension's filter,
+    // so this always spans every season under the other active filters.
+    groups = {
+        seasonZones: dimensions.season.group().reduce(
+            (p, d) => {
+                p.total += 1;
+                const z = p.zones[d._zone];
+                if (z) {
+                    z.fga += 1;
+                    z.fgm += d._made ? 1 : 0;
+                }
+                return p;
+            },
+            (p, d) => {
+                p.total -= 1;
+                const z = p.zones[d._zone];
+                if (z) {
+                    z.fga -= 1;
+                    z.fgm -= d._made ? 1 : 0;
+                }
+                return p;
+            },
+            () => ({ total: 0, zones: Object.fromEntries(ZONE_ORDER.map(z => [z, { fga: 0, fgm: 0 }])) })
+        ),
+
+        // Attempts/makes/points per action type, per 1-ft distance bin and
+        // per custom region, each under every filter except its own
+        actions: dimensions.action.group().reduce(...tallyReducer),
+        distanceBins: dimensions.distance.group(distanceBin).reduce(...tallyReducer),
+        regions: dimensions.region.group().reduce(...tallyReducer),
+
+        // Per-player tallies for the leaderboard, with attempts per zone so
+        // FG% can be compared with the league at the same shot mix
+        players: dimensions.player.group().reduce(
+            (p, d) => {
+                addToTally(p, d);
+                p.threesMade += d._three && d._made ? 1 : 0;
+                p.zones[d._zone] = (p.zones[d._zone] || 0) + 1;
+                return p;
+            },
+            (p, d) => {
+                p.fga -= 1;
+                p.fgm -= d._made ? 1 : 0;
+                p.pts -= d._pts;
+                p.threesMade -= d._three && d._made ? 1 : 0;
+                p.zones[d._zone] -= 1;
+                return p;
+            },
+            () => ({ ...emptyTally(), threesMade: 0, zones: {} })
+        ),
+
+        // Shot cells (zone x distance band x detailed zone). Nothing filters
+        // the cell dimension, so these always follow every active filter and
+        // feed the KPIs, zone stats and zone colors.
+        cells: dimensions.cell.group().reduce(
+            (p, d) => {
+                addToCell(p, d);
+                return p;
+            },
+            (p, d) => {
+                p.fga -= 1;
+                p.fgm -= d._made ? 1 : 0;
+                p.pts -= d._pts;
+                p.threes -= d._three ? 1 : 0;
+                p.threesMade -= d._three && d._made ? 1 : 0;
+                return p;
+            },
+            emptyCell
+        ),
+
+        // Per-zone tallies for each side of the court, for the side balance
+        sides: dimensions.side.group().reduce(
+            (p, d) => {
+                if (!p[d._zone]) p[d._zone] = emptyTally();
+                addToTally(p[d._zone], d);
+                return p;
+            },
+            (p, d) => {
+                const t = p[d._zone];
+                t.fga -= 1;
+                t.fgm -= d._made ? 1 : 0;
+                t.pts -= d._pts;
+                return p;
+            },
+            () => ({})
+        ),
+
+        // Shot counts for the cascading option lists
+        teams: dimensions.team.group(),
+        zones: dimensions.zone.group(),
+        opponents: dimensions.opponent.group()
+    };
+
+    return { cf, dimensions, groups };
+}
+
+// ============================================
+// Season Index
+// ============================================
+// Rows, league tallies, filter options and game dates per season, folded in
+// as batches arrive so nothing season-wide has to rescan allData.
+const seasonIndex = new Map();
+const OPTION_FIELDS = {
+    teams: d => d._team,
+    players: d => d._player,
+    zones: d => d._zone,
+    actions: d => d.ACTION_TYPE,
+    opponents: d => d._opp
+};
+
+function seasonEntry(season) {
+    if (!seasonIndex.has(season)) {
+        seasonIndex.set(season, {
+            rows: [],
+            baseline: { key: season, overall: emptyTally(), zones: new Map(), subZones: new Map(), cells: new Map() },
+            options: Object.fromEntries(Object.keys(OPTION_FIELDS).map(k => [k, new Set()])),
+            dates: ['', '']
+        });
+    }
+    return seasonIndex.get(season);
+}
+
+function tallyInto(map, key, d) {
+    if (!map.has(key)) map.set(key, emptyTally());
+    addToTally(map.get(key), d);
+}
+
+function indexRows(rows) {
+    rows.forEach(d => {
+        const entry = seasonEntry(d.SEASON_1);
+        const { baseline, options, dates } = entry;
+        entry.rows.push(d);
+
+        addToTally(baseline.overall, d);
+        tallyInto(baseline.zones, d._zone, d);
+        tallyInto(baseline.subZones, subZoneKey(d), d);
+        tallyInto(baseline.cells, `${d._zone}|${d._band}`, d);
+
+        Object.entries(OPTION_FIELDS).forEach(([k, value]) => options[k].add(value(d)));
+        if (d._date) {
+            if (!dates[0] || d._date < dates[0]) dates[0] = d._date;
+            if (!dates[1] || d._date > dates[1]) dates[1] = d._date;
+        }
+    });
+}
+
+// Index entries for the loaded seasons in a range
+const seasonEntries = (seasons) => isAllSeasons(seasons)
+    ? [...seasonIndex.values()]
+    : seasonYears(seasons).map(year => seasonIndex.get(String(year))).filter(Boolean);
+
+// Sorted option lists and the date extent for a season range
+function seasonOptions(seasons) {
+    const entries = seasonEntries(seasons);
+    const options = {};
+    Object.keys(OPTION_FIELDS).forEach(k => {
+        options[k] = [...new Set(entries.flatMap(e => [...e.options[k]]))].filter(Boolean).sort();
+    });
+    options.dates = [
+        d3.min(entries, e => e.dates[0] || undefined) || '',
+        d3.max(entries, e => e.dates[1] || undefined) || ''
+    ];
+    return options;
 }
 
 // ============================================
 // Filter Population
 // ============================================
 function populateFilters() {
-    const seasonData = getSeasonData();
-
-    const teams = [...new Set(seasonData.map(d => d._team))].filter(Boolean).sort();
-    const players = [...new Set(seasonData.map(d => d._player))].filter(Boolean).sort();
-    const zones = [...new Set(seasonData.map(d => d._zone))].filter(Boolean).sort();
+    const { teams, players, zones, actions, opponents, dates } = seasonOptions(currentFilters.seasons);
 
     populateSelect('teamFilter', teams, currentFilters.teams);
+    populateSelect('opponentFilter', opponents, currentFilters.opponents);
     populateSelect('playerFilter', players, currentFilters.players);
     populateSelect('zoneFilter', zones, currentFilters.zones);
+    populateSelect('actionFilter', actions, currentFilters.actions);
 
-    // Populate season dropdown
-    const seasonDropdown = document.getElementById('seasonDropdown');
-    seasonDropdown.innerHTML = '';
-
-    // Add "All Seasons" option
-    const allOption = document.createElement('option');
-    allOption.value = 'all';
-    allOption.textContent = 'All';
-    if (currentFilters.season === 'all') allOption.selected = true;
-    seasonDropdown.appendChild(allOption);
+    // Keep the date pickers inside the games on hand
+    const [firstDate, lastDate] = dates;
+    ['dateFrom', 'dateTo'].forEach(id => {
+        const input = document.getElementById(id);
+        input.min = firstDate || '';
+        input.max = lastDate || '';
+    });
+}
 
-    for (let year = 2004; year <= 2024; year++) {
-        const option = document.createElement('option');
-        option.value = year;
-        option.textContent = year;
-        if (year === currentFilters.season) option.selected = true;
-        seasonDropdown.appendChild(option);
-    }
+// Season presets: all seasons, the eras, then single seasons. Values are
+// 'first-last'; 'custom' stands for any other slider range.
+function populateSeasonPresets() {
+    const option = ([from, to], label) => `<option value="${from}-${to}">${label}</option>`;
+    document.getElementById('seasonPreset').innerHTML = `
+        ${option([FIRST_SEASON, LAST_SEASON], 'All seasons')}
+        <optgroup label="Eras">
+            ${SEASON_ERAS.map(era => option(era.seasons, `${era.label} (${fmtSeasons(era.seasons)})`)).join('')}
+        </optgroup>
+        <optgroup label="Season">
+            ${SEASONS.map(year => option([year, year], year)).join('')}
+        </optgroup>
+        <option value="custom" disabled hidden>Custom</option>
+    `;
 }
 
 function populateSelect(id, values, selectedValues = []) {
@@ -229,11 +903,37 @@ function populateSelect(id, values, selectedValues = []) {
     }).join('');
 }
 
-function getSeasonData() {
-    if (currentFilters.season === 'all') {
+function setSeasonRange(seasons) {
+    currentFilters.seasons = seasons;
+    syncSeasonControls();
+    populateFilters();
+    updateVisualization();
+}
+
+// Both slider handles, the fill between them, the label and the preset
+function syncSeasonControls() {
+    const [from, to] = currentFilters.seasons;
+    const share = (year) => (year - FIRST_SEASON) / (LAST_SEASON - FIRST_SEASON);
+    const range = document.getElementById('seasonRange');
+    range.style.setProperty('--from', share(from));
+    range.style.setProperty('--to', share(to));
+    document.getElementById('seasonFrom').value = from;
+    document.getElementById('seasonTo').value = to;
+    // With both handles together, keep the one that can still move outward on top
+    document.getElementById('seasonFrom').classList.toggle('on-top', share(from) > 0.5);
+    document.getElementById('seasonLabel').textContent = fmtSeasons(currentFilters.seasons);
+
+    const preset = document.getElementById('seasonPreset');
+    const value = `${from}-${to}`;
+    preset.value = Array.from(preset.options).some(o => o.value === value) ? value : 'custom';
+}
+
+function getSeasonData(filters = currentFilters) {
+    if (isAllSeasons(filters.seasons)) {
         return allData;
     }
-    return allData.filter(d => d.SEASON_1 === String(currentFilters.season));
+    const entries = seasonEntries(filters.seasons);
+    return entries.length === 1 ? entries[0].rows : entries.flatMap(e => e.rows);
 }
 
 // ============================================
@@ -249,31 +949,50 @@ function filterSelectOptions(selectId, searchTerm) {
     });
 }
 
+// Set a multi-select filter from outside its <select> (breakdown rows,
+// leaderboard). `name` is the control prefix: 'player' -> #playerFilter,
+// #playerSearch and currentFilters.players.
+function setSelectFilter(name, values) {
+    currentFilters[`${name}s`] = values;
+
+    // A click can name a value the list was not populated with
+    const options = new Set(Array.from(document.getElementById(`${name}Filter`).options, o => o.value));
+    values.forEach(v => options.add(v));
+    populateSelect(`${name}Filter`, [...options].sort(), values);
+    document.getElementById(`${name}Search`).value = '';
+    filterSelectOptions(`${name}Filter`, '');
+
+    applyFilters(currentFilters, { rows: false });
+    updateCascadingFilters(name);
+    updateVisualization();
+}
+
 // ============================================
 // Court Drawing
 // ============================================
-function drawCourt() {
-    const container = document.getElementById('court-container');
+// Draws a court into `container` and returns a chart object holding its
+// scales, SVG layers and shot canvas. Several charts can coexist (compare mode).
+function drawCourt(container = document.getElementById('court-container'), { clickable = true } = {}) {
     const containerWidth = container.clientWidth;
 
     // Calculate dimensions - scale to fill container width
-    chartWidth = containerWidth - 20;
-    chartHeight = chartWidth * 0.9;
+    const chartWidth = containerWidth - 20;
+    const chartHeight = chartWidth * 0.9;
 
     const margin = { top: 12, right: 12, bottom: 12, left: 12 };
 
     // Create scales (in feet)
-    xScale = d3.scaleLinear()
+    const xScale = d3.scaleLinear()
         .domain([-25, 25])
         .range([margin.left, chartWidth - margin.right]);
 
-    yScale = d3.scaleLinear()
+    const yScale = d3.scaleLinear()
         .domain([0, 47])
         .range([chartHeight - margin.bottom, margin.top]);
 
     // Center points for rotation
-    CX = chartWidth / 2;
-    CY = chartHeight / 2;
+    const CX = chartWidth / 2;
+    const CY = chartHeight / 2;
 
     // Clear container
     container.innerHTML = '';
@@ -293,6 +1012,8 @@ function drawCourt() {
         .style('display', 'block')
         .style('background', CONFIG.COURT_FILL);
 
+    const chart = { wrapper, svg, chartWidth, chartHeight, xScale, yScale, CX, CY };
+
     // Wood plank pattern
     const defs = svg.append('defs');
     const pattern = defs.append('pattern')
@@ -407,11 +1128,18 @@ function drawCourt() {
         .attr('d', d3.line()(arcPoints));
 
     // Clickable Zones Layer
-    zonesLayer = root.append('g')
+    chart.zonesLayer = root.append('g')
         .attr('class', 'zones-layer')
         .style('cursor', 'pointer');
 
-    drawClickableZones();
+    chart.clickable = clickable;
+    if (clickable) drawZoneOverlay(chart);
+
+    // Custom region outlines, above the zones
+    chart.regionsLayer = root.append('g')
+        .attr('class', 'regions-layer')
+        .style('pointer-events', 'none');
+    drawRegionOutlines(chart);
 
     // Create canvas for shots (layered on top of SVG, inside wrapper)
     const canvas = document.createElement('canvas');
@@ -423,38 +1151,55 @@ function drawCourt() {
     canvas.style.pointerEvents = 'none';
     wrapper.appendChild(canvas);
 
-    ctx = canvas.getContext('2d');
+    chart.canvas = canvas;
+    chart.ctx = canvas.getContext('2d');
+
+    // Choropleth zone labels, above the shots
+    chart.labelSvg = d3.select(wrapper)
+        .append('svg')
+        .attr('class', 'zone-label-layer')
+        .attr('width', chartWidth)
+        .attr('height', chartHeight);
+    chart.labelLayer = chart.labelSvg.append('g');
+
+    setupShotInspector(chart, { selectable: clickable });
 
-    return { svg, canvas };
+    return chart;
 }
 
 // ============================================
 // Clickable Zones
 // ============================================
-function drawClickableZones() {
+function drawZoneOverlay(chart) {
+    chart.zonesLayer.selectAll('*').remove();
+    if (zoneMode === 'detail') drawDetailZones(chart);
+    else drawClickableZones(chart);
+}
+
+// Zone styling function
+function zoneStyles(sel) {
+    sel
+        .attr('class', 'zone-shape')
+        .attr('fill', CONFIG.ZONE_FILL)
+        .attr('stroke', CONFIG.ZONE_STROKE)
+        .attr('stroke-width', '1')
+        .style('pointer-events', 'all')
+        .on('mouseover', function() {
+            d3.select(this).call(setZoneHighlight, true);
+        })
+        .on('mouseout', function() {
+            d3.select(this).call(setZoneHighlight, false);
+        });
+}
+
+function drawClickableZones(chart) {
+    const { xScale, yScale, zonesLayer } = chart;
     const threeR = CONFIG.THREE_R;
     const corner = CONFIG.CORNER;
     const yBreak = CONFIG.Y_BREAK;
     const aL = CONFIG.ARC_LEFT;
     const aR = CONFIG.ARC_RIGHT;
 
-    // Zone styling function
-    function zoneStyles(sel) {
-        sel
-            .attr('fill', 'rgba(255,165,0,0.08)')
-            .attr('stroke', 'rgba(0,0,0,0.15)')
-            .attr('stroke-width', '1')
-            .style('pointer-events', 'all')
-            .on('mouseover', function() {
-                d3.select(this).attr('fill', 'rgba(30, 136, 229, 0.25)');
-                d3.select(this).attr('stroke', 'rgba(0,0,0,0.4)');
-            })
-            .on('mouseout', function() {
-                d3.select(this).attr('fill', 'rgba(255,165,0,0.08)');
-                d3.select(this).attr('stroke', 'rgba(0,0,0,0.15)');
-            });
-    }
-
     // Mid-Range Zone (excludes paint, inside 3-point line)
     function makeMidRangePath() {
         const outerPath = [];
@@ -488,6 +1233,7 @@ function drawClickableZones() {
     zonesLayer.append('path')
         .attr('d', makeMidRangePath())
         .attr('fill-rule', 'evenodd')
+        .attr('data-zone', 'Mid-Range')
         .call(zoneStyles)
         .on('click', (event) => selectZoneFromClick('Mid-Range', event));
 
@@ -497,6 +1243,7 @@ function drawClickableZones() {
         .attr('y', yScale(19))
         .attr('width', xScale(8) - xScale(-8))
         .attr('height', yScale(0) - yScale(19))
+        .attr('data-zone', 'In The Paint (Non-RA)')
         .call(zoneStyles)
         .on('click', (event) => selectZoneFromClick('In The Paint (Non-RA)', event));
 
@@ -505,6 +1252,7 @@ function drawClickableZones() {
         .attr('cx', xScale(0))
         .attr('cy', yScale(CONFIG.HOOP_Y))
         .attr('r', Math.abs(xScale(5) - xScale(0)))
+        .attr('data-zone', 'Restricted Area')
         .call(zoneStyles)
         .on('click', (event) => selectZoneFromClick('Restricted Area', event));
 
@@ -528,6 +1276,7 @@ function drawClickableZones() {
             return 'M' + pts.map(p => `${xScale(p[0])},${yScale(p[1])}`).join(' L') + ' Z';
         })())
         .attr('fill-rule', 'evenodd')
+        .attr('data-zone', 'Above the Break 3')
         .call(zoneStyles)
         .on('click', (event) => selectZoneFromClick('Above the Break 3', event));
 
@@ -537,6 +1286,7 @@ function drawClickableZones() {
         .attr('y', yScale(yBreak))
         .attr('width', xScale(-corner) - xScale(-25))
         .attr('height', yScale(0) - yScale(yBreak))
+        .attr('data-zone', 'Right Corner 3')
         .call(zoneStyles)
         .on('click', (event) => selectZoneFromClick('Right Corner 3', event));
 
@@ -546,10 +1296,92 @@ function drawClickableZones() {
         .attr('y', yScale(yBreak))
         .attr('width', xScale(25) - xScale(corner))
         .attr('height', yScale(0) - yScale(yBreak))
+        .attr('data-zone', 'Left Corner 3')
         .call(zoneStyles)
         .on('click', (event) => selectZoneFromClick('Left Corner 3', event));
 }
 
+// Distance (ft) from the hoop to the 3PT line along angle `a` (radians)
+function threePointRadius(a) {
+    const arcY = CONFIG.HOOP_Y + CONFIG.THREE_R * Math.sin(a);
+    if (arcY >= CONFIG.Y_BREAK) return CONFIG.THREE_R;
+    return Math.min(CONFIG.CORNER / Math.abs(Math.cos(a)), 60);
+}
+
+// Sutherland-Hodgman clip of a polygon (feet) to the half court
+function clipToHalfCourt(points) {
+    const bounds = [
+        [0, -25, 1], [0, 25, -1], [1, 0, 1], [1, 47, -1]   // [axis, value, side kept]
+    ];
+    return bounds.reduce((poly, [axis, value, side]) => {
+        const inside = (p) => (p[axis] - value) * side >= 0;
+        const cross = (p, q) => {
+            const t = (value - p[axis]) / (q[axis] - p[axis]);
+            return [p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])];
+        };
+        const out = [];
+        poly.forEach((p, i) => {
+            const prev = poly[(i + poly.length - 1) % poly.length];
+            if (inside(p)) {
+                if (!inside(prev)) out.push(cross(prev, p));
+                out.push(p);
+            } else if (inside(prev)) {
+                out.push(cross(prev, p));
+            }
+        });
+        return out;
+    }, points);
+}
+
+// Outline of one detailed zone in feet: outer edge out, inner edge back
+function detailZonePolygon(zone) {
+    const radius = (r, a) => r === 'three' ? threePointRadius(a) : r === 'court' ? 60 : r;
+    const steps = Math.max(2, Math.ceil((zone.a[1] - zone.a[0]) / 2));
+    const angles = d3.range(steps + 1).map(i => (zone.a[0] + (zone.a[1] - zone.a[0]) * i / steps) * Math.PI / 180);
+    const point = (r, a) => [r * Math.cos(a), CONFIG.HOOP_Y + r * Math.sin(a)];
+
+    const outer = angles.map(a => point(radius(zone.r[1], a), a));
+    const inner = zone.r[0] === 0
+        ? [[0, CONFIG.HOOP_Y]]
+        : angles.slice().reverse().map(a => point(radius(zone.r[0], a), a));
+    return clipToHalfCourt(outer.concat(inner));
+}
+
+function drawDetailZones(chart) {
+    const { xScale, yScale, zonesLayer } = chart;
+
+    DETAIL_ZONES.forEach(zone => {
+        const points = detailZonePolygon(zone);
+        zonesLayer.append('path')
+            .attr('d', 'M' + points.map(p => `${xScale(p[0])},${yScale(p[1])}`).join(' L') + ' Z')
+            .attr('data-zone', zone.key)
+            .call(zoneStyles)
+            .on('click', (event) => selectSubZoneFromClick(zone.key, event));
+    });
+}
+
+function setZoneHighlight(sel, highlighted) {
+    sel
+        .attr('fill', function() {
+            return highlighted ? CONFIG.ZONE_HOVER_FILL : (this.getAttribute('data-fill') || CONFIG.ZONE_FILL);
+        })
+        .attr('stroke', highlighted ? CONFIG.ZONE_HOVER_STROKE : CONFIG.ZONE_STROKE);
+}
+
+// Highlight one basic zone on every visible court (null clears). In
+// detailed mode that's the sub-zones the zone's filtered shots fall in.
+function highlightCourtZone(zoneName) {
+    const keys = new Set([zoneName]);
+    if (zoneMode === 'detail' && zoneName !== null) {
+        filteredCells().forEach(c => {
+            if (c.zone === zoneName) keys.add(c.subZone);
+        });
+    }
+    d3.selectAll('#court-container .zone-shape').each(function() {
+        d3.select(this).call(setZoneHighlight, keys.has(this.getAttribute('data-zone')));
+    });
+}
+
 function selectZoneFromClick(zoneName, event) {
     const zoneSelect = document.getElementById('zoneFilter');
     const isCtrlOrCmd = event && (event.ctrlKey || event.metaKey);
@@ -578,303 +1410,3624 @@ function selectZoneFromClick(zoneName, event) {
     renderFilterSummary();
 }
 
+// Same click rules as selectZoneFromClick, for the detailed zones
+function selectSubZoneFromClick(key, event) {
+    const isCtrlOrCmd = event && (event.ctrlKey || event.metaKey);
+
+    if (isCtrlOrCmd) {
+        const index = currentFilters.subZones.indexOf(key);
+        if (index > -1) currentFilters.subZones.splice(index, 1);
+        else currentFilters.subZones.push(key);
+    } else {
+        currentFilters.subZones = [key];
+    }
+
+    updateVisualization();
+}
+
+function setZoneMode(mode) {
+    zoneMode = mode;
+    [mainChart, ...Object.values(compareCharts)]
+        .filter(chart => chart && chart.clickable)
+        .forEach(drawZoneOverlay);
+    updateVisualization();
+}
+
 // ============================================
 // Shot Rendering
 // ============================================
-function renderShots(data) {
-    if (!ctx) return;
 
-    ctx.clearRect(0, 0, chartWidth, chartHeight);
+// Feet -> canvas pixels, with the same 180 degree rotation as the court
+const shotPixelX = (chart, d) => 2 * chart.CX - chart.xScale(d._x);
+const shotPixelY = (chart, d) => 2 * chart.CY - chart.yScale(d._y);
+
+// `cells` are the shot cells of `data` when crossfilter holds `filters`;
+// otherwise zone colors tally the rows
+function renderShots(data, chart = mainChart, filters = currentFilters, cells = null) {
+    if (!chart || !chart.ctx) return;
+
+    chart.ctx.clearRect(0, 0, chart.chartWidth, chart.chartHeight);
+    indexShots(chart, data, filters);
+    if (zoneFill !== 'none' && !cells) cells = tallyCells(data);
+    updateZoneColors(chart, cells, filters);
+    drawRegionOutlines(chart, filters);
+
+    if (renderMode === 'hexbin') {
+        renderHexbin(data, chart, filters);
+    } else if (renderMode === 'density') {
+        renderDensity(data, chart);
+    } else {
+        renderScatter(data, chart);
+    }
+}
+
+function renderScatter(data, chart) {
+    const { ctx } = chart;
     ctx.globalAlpha = CONFIG.DOT_A;
 
     for (let i = 0; i < data.length; i++) {
         const d = data[i];
 
-        // Convert to pixel coordinates
-        const px = xScale(d._x);
-        const py = yScale(d._y);
-
-        // Apply 180 degree rotation (same as court)
-        const rotatedX = 2 * CX - px;
-        const rotatedY = 2 * CY - py;
-
         ctx.beginPath();
-        ctx.arc(rotatedX, rotatedY, CONFIG.DOT_R, 0, Math.PI * 2);
+        ctx.arc(shotPixelX(chart, d), shotPixelY(chart, d), CONFIG.DOT_R, 0, Math.PI * 2);
         ctx.fillStyle = d._made ? 'green' : 'red';
         ctx.fill();
     }
 }
 
-// ============================================
-// KPI Updates
-// ============================================
-function updateKPIs(data) {
-    const totalShots = data.length;
-    const madeShots = data.filter(d => d._made).length;
-    const fg = totalShots ? madeShots / totalShots : 0;
-
-    // Calculate league FG% for current season
-    const seasonData = getSeasonData();
-    const seasonMakes = seasonData.reduce((a, d) => a + (d._made ? 1 : 0), 0);
-    leagueFg = seasonData.length ? seasonMakes / seasonData.length : 0;
-
-    // 3PT stats
-    const threePointers = data.filter(d => (d.SHOT_TYPE || '').includes('3PT'));
-    const threesMade = threePointers.filter(d => d._made).length;
-    const threePct = threePointers.length ? threesMade / threePointers.length : 0;
-    const threePAR = totalShots ? threePointers.length / totalShots : 0;
+function makeHexbin(chart) {
+    const pxPerFoot = Math.abs(chart.xScale(1) - chart.xScale(0));
+    return d3.hexbin()
+        .x(d => shotPixelX(chart, d))
+        .y(d => shotPixelY(chart, d))
+        .radius(CONFIG.HEX_RADIUS_FT * pxPerFoot)
+        .extent([[0, 0], [chart.chartWidth, chart.chartHeight]]);
+}
 
-    // eFG%
-    const efg = totalShots ? (madeShots + 0.5 * threesMade) / totalShots : 0;
+// League FG% per hex for the season of `filters`, keyed by hex center
+// Kept for the most recently used season ranges and court widths only
+const HEX_LEAGUE_CACHE_SIZE = 8;
+
+function getLeagueHexFg(hexbin, chart, filters = currentFilters) {
+    const key = `${seasonKey(filters)}|${chart.chartWidth}`;
+    if (hexLeagueCache.has(key)) {
+        const cached = hexLeagueCache.get(key);
+        hexLeagueCache.delete(key);
+        hexLeagueCache.set(key, cached);
+        return cached;
+    }
 
-    // FG% vs league average
-    const fgDiff = fg - leagueFg;
+    const { overall } = getLeagueBaseline(filters);
+    const seasonFg = overall.fga ? overall.fgm / overall.fga : 0;
+    const prior = CONFIG.HEX_LEAGUE_PRIOR;
 
-    // Update DOM
-    animateKPI('kpi-shots', fmtInt(totalShots));
-    animateKPI('kpi-makes', fmtInt(madeShots));
-    animateKPI('kpi-fg', fmtPct(fg));
-    animateKPI('kpi-3p', fmtPct(threePct));
-    animateKPI('kpi-3pa-rate', fmtPct(threePAR));
+    const byHex = new Map();
+    hexbin(getSeasonData(filters)).forEach(bin => {
+        const made = bin.reduce((a, d) => a + (d._made ? 1 : 0), 0);
+        byHex.set(`${bin.x},${bin.y}`, (made + prior * seasonFg) / (bin.length + prior));
+    });
 
-    // eFG% - only show when no zone filter is active
-    const efgEl = document.getElementById('kpi-efg');
-    if (currentFilters.zones.length === 0) {
-        efgEl.textContent = fmtPct(efg);
-    } else {
-        efgEl.textContent = '--';
+    hexLeagueCache.set(key, byHex);
+    if (hexLeagueCache.size > HEX_LEAGUE_CACHE_SIZE) {
+        hexLeagueCache.delete(hexLeagueCache.keys().next().value);
     }
-
-    // FG% difference with color
-    const fgDiffEl = document.getElementById('kpi-fg-diff');
-    fgDiffEl.textContent = fmtPctDiff(fgDiff);
-    fgDiffEl.className = 'fw-bold ' + (fgDiff >= 0 ? 'fg-positive' : 'fg-negative');
-
-    // Shot Distribution (2PT vs 3PT)
-    const twoPtPct = 1 - threePAR;
-    document.getElementById('kpi-2pt-pct').textContent = fmtPct(twoPtPct);
-    document.getElementById('kpi-3pt-pct').textContent = fmtPct(threePAR);
-    document.getElementById('progress-2pt').style.width = (twoPtPct * 100) + '%';
-    document.getElementById('progress-3pt').style.width = (threePAR * 100) + '%';
+    return byHex;
 }
 
-function animateKPI(elementId, value) {
-    const el = document.getElementById(elementId);
-    if (el) {
-        el.textContent = value;
-        el.classList.add('updated');
-        setTimeout(() => el.classList.remove('updated'), 300);
+// Pointy-top hexagon path, matching d3.hexbin's layout
+function traceHexagon(ctx, x, y, r) {
+    ctx.beginPath();
+    for (let k = 0; k < 6; k++) {
+        const angle = k * Math.PI / 3;
+        const hx = x + Math.sin(angle) * r;
+        const hy = y - Math.cos(angle) * r;
+        if (k === 0) ctx.moveTo(hx, hy);
+        else ctx.lineTo(hx, hy);
     }
+    ctx.closePath();
 }
 
-function updateZoneBreakdown(data) {
-    const zoneOrder = [
-        'Restricted Area',
-        'In The Paint (Non-RA)',
-        'Mid-Range',
-        'Left Corner 3',
-        'Right Corner 3',
-        'Above the Break 3'
-    ];
-
-    const zoneShortNames = {
-        'Restricted Area': 'Restricted',
-        'In The Paint (Non-RA)': 'Paint',
-        'Mid-Range': 'Mid-Range',
-        'Left Corner 3': 'L Corner 3',
-        'Right Corner 3': 'R Corner 3',
-        'Above the Break 3': 'Above Break 3'
-    };
-
-    // Calculate FG% by zone
-    const zoneStats = {};
-    zoneOrder.forEach(zone => {
-        const zoneShots = data.filter(d => d._zone === zone);
-        const made = zoneShots.filter(d => d._made).length;
-        const total = zoneShots.length;
-        zoneStats[zone] = total > 0 ? made / total : 0;
+function renderHexbin(data, chart, filters) {
+    const { ctx } = chart;
+    const hexbin = makeHexbin(chart);
+    const bins = hexbin(data);
+    if (bins.length === 0) return;
+
+    const leagueByHex = getLeagueHexFg(hexbin, chart, filters);
+    const { overall } = getLeagueBaseline(filters);
+    const seasonFg = overall.fga ? overall.fgm / overall.fga : 0;
+    const maxCount = d3.max(bins, b => b.length);
+    const size = d3.scaleSqrt().domain([0, maxCount]).range([0, hexbin.radius()]);
+    const color = d3.scaleDiverging(d3.interpolateRdYlGn)
+        .domain([-CONFIG.HEX_FG_RANGE, 0, CONFIG.HEX_FG_RANGE])
+        .clamp(true);
+
+    ctx.globalAlpha = 0.9;
+    ctx.strokeStyle = 'rgba(0,0,0,0.25)';
+    ctx.lineWidth = 0.5;
+
+    bins.forEach(bin => {
+        const made = bin.reduce((a, d) => a + (d._made ? 1 : 0), 0);
+        const league = leagueByHex.get(`${bin.x},${bin.y}`);
+        const diff = made / bin.length - (league === undefined ? seasonFg : league);
+
+        traceHexagon(ctx, bin.x, bin.y, size(bin.length));
+        ctx.fillStyle = color(diff);
+        ctx.fill();
+        ctx.stroke();
     });
-
-    // Build HTML
-    const container = document.getElementById('zoneBreakdown');
-    container.innerHTML = zoneOrder.map(zone => `
-        <div class="zone-item">
-            <div class="zone-name">${zoneShortNames[zone]}</div>
-            <div class="zone-fg">${fmtPct(zoneStats[zone])}</div>
-        </div>
-    `).join('');
 }
 
-// ============================================
-// Filter Summary
-// ============================================
-function renderFilterSummary() {
-    const pieces = [];
+function renderDensity(data, chart) {
+    if (data.length === 0) return;
+
+    const { ctx } = chart;
+    const pxPerFoot = Math.abs(chart.xScale(1) - chart.xScale(0));
+    const contours = d3.contourDensity()
+        .x(d => shotPixelX(chart, d))
+        .y(d => shotPixelY(chart, d))
+        .size([chart.chartWidth, chart.chartHeight])
+        .bandwidth(CONFIG.DENSITY_BANDWIDTH_FT * pxPerFoot)
+        .thresholds(CONFIG.DENSITY_THRESHOLDS)(data);
+    if (contours.length === 0) return;
+
+    const color = d3.scaleSequential(d3.interpolateYlOrRd)
+        .domain([0, d3.max(contours, c => c.value)]);
+    const path = d3.geoPath(null, ctx);
+
+    ctx.globalAlpha = CONFIG.DENSITY_A;
+    contours.forEach(c => {
+        ctx.beginPath();
+        path(c);
+        ctx.fillStyle = color(c.value);
+        ctx.fill();
+    });
+}
 
-    if (currentFilters.season !== 'all') {
-        pieces.push(`<strong>Season:</strong> ${currentFilters.season}`);
-    }
-    if (currentFilters.teams.length > 0) {
-        pieces.push(`<strong>Team:</strong> ${currentFilters.teams.join(', ')}`);
-    }
-    if (currentFilters.players.length > 0) {
-        pieces.push(`<strong>Player:</strong> ${currentFilters.players.join(', ')}`);
-    }
-    if (currentFilters.positions.length > 0) {
-        const posLabels = currentFilters.positions.map(p => {
-            if (p === 'G') return 'Guard';
-            if (p === 'F') return 'Forward';
-            if (p === 'C') return 'Center';
-            return p;
-        });
-        pieces.push(`<strong>Position:</strong> ${posLabels.join(', ')}`);
-    }
-    if (currentFilters.zones.length > 0) {
-        pieces.push(`<strong>Zone:</strong> ${currentFilters.zones.join(', ')}`);
-    }
-    if (currentFilters.shotResult !== 'all') {
-        pieces.push(`<strong>Result:</strong> ${currentFilters.shotResult === 'made' ? 'Made' : 'Missed'}`);
-    }
+// Legend in the Shot Chart header follows the render mode
+function updateRenderLegend() {
+    const legend = document.getElementById('renderLegend');
+    const ramp = (interpolator) => {
+        const stops = d3.range(0, 1.001, 0.25).map(interpolator).join(', ');
+        return `<span class="legend-ramp" style="background: linear-gradient(to right, ${stops})"></span>`;
+    };
 
-    const summaryEl = document.getElementById('filterSummary');
-    if (pieces.length === 0) {
-        summaryEl.innerHTML = 'None (all values included).';
+    if (renderMode === 'hexbin') {
+        legend.innerHTML = `Size = attempts · FG% vs league: below${ramp(d3.interpolateRdYlGn)}above`;
+    } else if (renderMode === 'density') {
+        legend.innerHTML = `Shot density: low${ramp(d3.interpolateYlOrRd)}high`;
     } else {
-        summaryEl.innerHTML = pieces.join('<br>');
+        legend.innerHTML = `
+            <span class="legend-dot made"></span> Made
+            <span class="legend-dot missed ms-2"></span> Missed
+        `;
     }
 }
 
 // ============================================
-// Filter Application
+// Zone Choropleth
 // ============================================
-function applyFilters() {
-    Object.values(dimensions).forEach(dim => {
-        if (dim.filterAll) dim.filterAll();
-    });
+// Fills each court zone by how the current selection compares with the
+// league in that zone; labels show the value itself.
+const ZONE_LABEL_POS = {
+    'Restricted Area': [0, 7],
+    'In The Paint (Non-RA)': [0, 14],
+    'Mid-Range': [0, 27],
+    'Left Corner 3': [23.5, 7],
+    'Right Corner 3': [-23.5, 7],
+    'Above the Break 3': [0, 35]
+};
 
-    // Season filter (skip if 'all')
-    if (currentFilters.season !== 'all') {
-        dimensions.season.filter(String(currentFilters.season));
+const ZONE_FILL_METRICS = {
+    fg: {
+        label: 'FG% vs league',
+        value: (t) => t.fgm / t.fga,
+        league: (t) => t.fgm / t.fga,
+        format: fmtPct,
+        interpolator: d3.interpolateRdYlGn
+    },
+    pps: {
+        label: 'Points per shot vs league',
+        value: (t) => t.pts / t.fga,
+        league: (t) => t.pts / t.fga,
+        format: (v) => v.toFixed(2),
+        interpolator: d3.interpolateRdYlGn
+    },
+    share: {
+        label: 'Share of attempts vs league',
+        value: (t, total) => t.fga / total.fga,
+        league: (t, total) => t.fga / total.fga,
+        format: fmtPct,
+        interpolator: d3.interpolatePuOr
     }
+};
+
+const zoneFillScale = (metric) => d3.scaleDiverging(ZONE_FILL_METRICS[metric].interpolator)
+    .domain([-CONFIG.CHORO_RANGE[metric], 0, CONFIG.CHORO_RANGE[metric]])
+    .clamp(true);
+
+// Where to put a zone's label, in feet
+function zoneLabelPosition(key) {
+    if (ZONE_LABEL_POS[key]) return ZONE_LABEL_POS[key];
+    const zone = DETAIL_ZONES.find(z => z.key === key);
+    return zone ? d3.polygonCentroid(detailZonePolygon(zone)) : null;
+}
+
+function updateZoneColors(chart, cells, filters) {
+    if (!chart.clickable || !chart.labelLayer) return;
+
+    const shapes = chart.zonesLayer.selectAll('.zone-shape');
+    if (zoneFill === 'none') {
+        shapes.attr('data-fill', null).attr('fill', CONFIG.ZONE_FILL);
+        chart.labelLayer.selectAll('*').remove();
+        return;
+    }
+
+    const metric = ZONE_FILL_METRICS[zoneFill];
+    const scale = zoneFillScale(zoneFill);
+    const detail = zoneMode === 'detail';
+
+    const total = emptyTally();
+    const tallies = new Map();
+    cells.forEach(c => {
+        addTallies(total, c);
+        const key = detail ? c.subZone : c.zone;
+        if (!tallies.has(key)) tallies.set(key, emptyTally());
+        addTallies(tallies.get(key), c);
+    });
+
+    const baseline = getLeagueBaseline(filters);
+    const leagueTallies = detail ? baseline.subZones : baseline.zones;
+
+    const values = new Map();
+    shapes.each(function() {
+        const key = this.getAttribute('data-zone');
+        const t = tallies.get(key);
+        const lt = leagueTallies.get(key);
+        if (!t || t.fga < CONFIG.CHORO_MIN_FGA || !lt || !lt.fga) return;
+        const value = metric.value(t, total);
+        values.set(key, { value, diff: value - metric.league(lt, baseline.overall) });
+    });
+
+    shapes.each(function() {
+        const v = values.get(this.getAttribute('data-zone'));
+        const fill = v ? d3.color(scale(v.diff)).copy({ opacity: CONFIG.CHORO_A }).formatRgb() : CONFIG.ZONE_FILL;
+        this.setAttribute('data-fill', fill);
+        this.setAttribute('fill', fill);
+    });
+
+    const labels = [...values.entries()]
+        .map(([key, v]) => ({ key, v, pos: zoneLabelPosition(key) }))
+        .filter(l => l.pos);
+
+    chart.labelLayer.selectAll('text')
+        .data(labels, l => l.key)
+        .join('text')
+        .attr('class', 'zone-label')
+        .attr('x', l => 2 * chart.CX - chart.xScale(l.pos[0]))
+        .attr('y', l => 2 * chart.CY - chart.yScale(l.pos[1]))
+        .attr('text-anchor', 'middle')
+        .attr('dominant-baseline', 'middle')
+        .text(l => metric.format(l.v.value))
+        .append('title')
+        .text(l => `${detail ? subZoneLabel(l.key) : l.key}: ${metric.format(l.v.value)} (${zoneFill === 'pps' ? fmtSigned(l.v.diff, 2) : fmtPctDiff(l.v.diff)} vs league)`);
+}
+
+function updateZoneFillLegend() {
+    const legend = document.getElementById('zoneFillLegend');
+    if (zoneFill === 'none') {
+        legend.classList.add('d-none');
+        return;
+    }
+    const metric = ZONE_FILL_METRICS[zoneFill];
+    const range = CONFIG.CHORO_RANGE[zoneFill];
+    const stops = d3.range(0, 1.001, 0.25).map(metric.interpolator).join(', ');
+    const rangeLabel = zoneFill === 'pps' ? `±${range.toFixed(2)}` : `±${(range * 100).toFixed(0)} pp`;
+    legend.innerHTML = `Zone color: ${metric.label} · below` +
+        `<span class="legend-ramp" style="background: linear-gradient(to right, ${stops})"></span>` +
+        `above (${rangeLabel}) · fewer than ${CONFIG.CHORO_MIN_FGA} attempts left blank`;
+    legend.classList.remove('d-none');
+}
+
+function setZoneFill(metric) {
+    zoneFill = metric;
+    updateZoneFillLegend();
+    updateVisualization();
+}
+
+// ============================================
+// Shot Inspection (hover, pin, box/lasso selection)
+// ============================================
+// renderShots() indexes the drawn shots in a quadtree over their on-screen
+// (rotated) positions, so pointer lookups don't scan the whole dataset.
+const SHOT_HOVER_RADIUS_PX = 8;
+const LASSO_MIN_AREA_PX = 25;
+
+// One selection at a time: { chart, shape: { type: 'box', extent } | { type: 'lasso', points } }
+let shotSelection = null;
+
+function indexShots(chart, data, filters) {
+    chart.shotIndex = d3.quadtree(data, d => shotPixelX(chart, d), d => shotPixelY(chart, d));
+    chart.filters = filters;
+
+    if (chart.pinnedShot && !data.includes(chart.pinnedShot)) {
+        hideShotTooltip(chart, true);
+    }
+    if (shotSelection && shotSelection.chart === chart) updateSelectionPanel();
+}
+
+// Overlay for the tooltip, the hover ring and box/lasso outlines
+function setupShotInspector(chart, { selectable = true } = {}) {
+    const { wrapper } = chart;
+
+    chart.selectLayer = d3.select(wrapper)
+        .append('svg')
+        .attr('class', 'select-layer')
+        .attr('width', chart.chartWidth)
+        .attr('height', chart.chartHeight);
+
+    chart.hoverRing = chart.selectLayer.append('circle')
+        .attr('class', 'hover-ring')
+        .attr('r', CONFIG.DOT_R + 3)
+        .style('display', 'none');
+
+    chart.tooltip = document.createElement('div');
+    chart.tooltip.className = 'shot-tooltip d-none';
+    wrapper.appendChild(chart.tooltip);
+
+    chart.nearestShot = (event) => {
+        if (!chart.shotIndex) return null;
+        const [px, py] = d3.pointer(event, wrapper);
+        return chart.shotIndex.find(px, py, SHOT_HOVER_RADIUS_PX) || null;
+    };
+
+    wrapper.addEventListener('mousemove', (event) => {
+        if (chart.pinnedShot || chart.dragging) return;
+        const d = chart.nearestShot(event);
+        if (d) showShotTooltip(chart, d);
+        else hideShotTooltip(chart);
+    });
+    wrapper.addEventListener('mouseleave', () => {
+        if (!chart.pinnedShot) hideShotTooltip(chart);
+    });
+
+    // Shift+click pins a shot without selecting the zone underneath
+    wrapper.addEventListener('click', (event) => {
+        if (!event.shiftKey || event.target.closest('.shot-tooltip')) return;
+        event.stopPropagation();
+        pinShot(chart, chart.nearestShot(event));
+    }, true);
+
+    if (selectable) setSelectTool(chart, selectTool);
+}
+
+function showShotTooltip(chart, d, pinned = false) {
+    const x = shotPixelX(chart, d);
+    const y = shotPixelY(chart, d);
+
+    chart.hoverRing
+        .attr('cx', x)
+        .attr('cy', y)
+        .classed('pinned', pinned)
+        .style('display', null);
+
+    const tooltip = chart.tooltip;
+    tooltip.innerHTML = `
+        ${pinned ? '<button type="button" class="btn-close btn-close-white" aria-label="Close"></button>' : ''}
+        <div class="shot-tooltip-title">${escapeHtml(d._player)}</div>
+        <div class="text-secondary">${escapeHtml(d._team)} · ${d.SEASON_1}</div>
+        <div>${escapeHtml(d.SHOT_TYPE)} · ${d.SHOT_DISTANCE} ft</div>
+        <div>${escapeHtml(d.ACTION_TYPE || '')}</div>
+        <div class="${d._made ? 'fg-positive' : 'fg-negative'}">${d._made ? 'Made' : 'Missed'}</div>
+    `;
+    tooltip.classList.remove('d-none');
+
+    // Open away from the nearest edge so the box stays on the court
+    const flipX = x > chart.chartWidth * 0.6;
+    const flipY = y > chart.chartHeight * 0.6;
+    tooltip.style.left = `${flipX ? x - tooltip.offsetWidth - 12 : x + 12}px`;
+    tooltip.style.top = `${flipY ? y - tooltip.offsetHeight - 12 : y + 12}px`;
+
+    if (pinned) {
+        tooltip.querySelector('.btn-close').addEventListener('click', () => hideShotTooltip(chart, true));
+    }
+}
+
+function hideShotTooltip(chart, unpin = false) {
+    if (unpin) chart.pinnedShot = null;
+    if (chart.pinnedShot) return;
+    chart.hoverRing.style('display', 'none');
+    chart.tooltip.classList.add('d-none');
+}
+
+function pinShot(chart, d) {
+    chart.pinnedShot = d;
+    if (d) showShotTooltip(chart, d, true);
+    else hideShotTooltip(chart, true);
+}
+
+// Switch a court between zone clicks and box/lasso selection
+function setSelectTool(chart, tool) {
+    const layer = chart.selectLayer;
+    layer.selectAll('.brush, .lasso-capture, .lasso-path').remove();
+    layer.classed('active', tool !== 'zones');
+    if (tool === 'box') setupBoxSelect(chart);
+    else if (tool === 'lasso') setupLassoSelect(chart);
+    else if (tool === 'polygon') setupPolygonDraw(chart);
+    else if (tool === 'circle') setupCircleDraw(chart);
+}
+
+function setupBoxSelect(chart) {
+    const brush = d3.brush()
+        .extent([[0, 0], [chart.chartWidth, chart.chartHeight]])
+        .on('start', () => { chart.dragging = true; })
+        .on('end', (event) => {
+            chart.dragging = false;
+            if (!event.sourceEvent) return;
+            if (event.selection) {
+                setShotSelection(chart, { type: 'box', extent: event.selection });
+            } else {
+                // A click without a drag inspects the shot under the pointer
+                clearShotSelection();
+                pinShot(chart, chart.nearestShot(event.sourceEvent));
+            }
+        });
+
+    chart.selectLayer.insert('g', '.hover-ring').attr('class', 'brush').call(brush);
+}
+
+function setupLassoSelect(chart) {
+    const layer = chart.selectLayer;
+    const capture = layer.insert('rect', '.hover-ring')
+        .attr('class', 'lasso-capture')
+        .attr('width', chart.chartWidth)
+        .attr('height', chart.chartHeight);
+    const path = layer.insert('path', '.hover-ring').attr('class', 'lasso-path');
+
+    let points = null;
+    capture.on('pointerdown', (event) => {
+        points = [d3.pointer(event, chart.wrapper)];
+        chart.dragging = true;
+        path.attr('d', null);
+        if (event.target.setPointerCapture) event.target.setPointerCapture(event.pointerId);
+    });
+    capture.on('pointermove', (event) => {
+        if (!points) return;
+        points.push(d3.pointer(event, chart.wrapper));
+        path.attr('d', `M${points.join('L')}Z`);
+    });
+    capture.on('pointerup', (event) => {
+        if (!points) return;
+        chart.dragging = false;
+        if (points.length >= 3 && Math.abs(d3.polygonArea(points)) > LASSO_MIN_AREA_PX) {
+            setShotSelection(chart, { type: 'lasso', points });
+        } else {
+            path.attr('d', null);
+            clearShotSelection();
+            pinShot(chart, chart.nearestShot(event));
+        }
+        points = null;
+    });
+}
+
+// Shots inside a box or lasso, found through the quadtree
+function shotsInShape(chart, shape) {
+    if (!chart.shotIndex) return [];
+    const [[x0, y0], [x1, y1]] = shape.type === 'box' ? shape.extent : [
+        [d3.min(shape.points, p => p[0]), d3.min(shape.points, p => p[1])],
+        [d3.max(shape.points, p => p[0]), d3.max(shape.points, p => p[1])]
+    ];
+    const inside = shape.type === 'box' ? () => true : (px, py) => d3.polygonContains(shape.points, [px, py]);
+
+    const found = [];
+    chart.shotIndex.visit((node, nx0, ny0, nx1, ny1) => {
+        if (!node.length) {
+            do {
+                const px = shotPixelX(chart, node.data);
+                const py = shotPixelY(chart, node.data);
+                if (px >= x0 && px <= x1 && py >= y0 && py <= y1 && inside(px, py)) found.push(node.data);
+            } while ((node = node.next));
+        }
+        return nx0 > x1 || nx1 < x0 || ny0 > y1 || ny1 < y0;
+    });
+    return found;
+}
+
+function setShotSelection(chart, shape) {
+    // Drop the outline left on another court
+    if (shotSelection && shotSelection.chart !== chart) {
+        setSelectTool(shotSelection.chart, selectTool);
+    }
+    shotSelection = { chart, shape };
+    updateSelectionPanel();
+}
+
+function clearShotSelection() {
+    if (shotSelection) {
+        const { chart } = shotSelection;
+        shotSelection = null;
+        if (chart.wrapper.isConnected) setSelectTool(chart, selectTool);
+    }
+    updateSelectionPanel();
+}
+
+// Aggregate stats for the selected shots under that court's filters
+function updateSelectionPanel() {
+    const panel = document.getElementById('selectionPanel');
+    if (!shotSelection) {
+        panel.classList.add('d-none');
+        return;
+    }
+
+    const { chart, shape } = shotSelection;
+    const shots = shotsInShape(chart, shape);
+    const stats = computeShotStats(shots, chart.filters);
+    const avgDist = d3.mean(shots, d => d.SHOT_DISTANCE) || 0;
+    const top = (key) => d3.rollups(shots, v => v.length, key)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([name, n]) => `${name} (${fmtInt(n)})`)
+        .join(', ') || '–';
+    const side = compareMode ? (chart === compareCharts.B ? 'B' : 'A') : null;
+    const diffClass = stats.fg - stats.xFg >= 0 ? 'fg-positive' : 'fg-negative';
+
+    panel.querySelector('.selection-title').innerHTML =
+        (side ? `<span class="compare-side-badge side-${side.toLowerCase()}">${side}</span> ` : '') +
+        `${shape.type === 'box' ? 'Box' : 'Lasso'} selection · ${fmtInt(stats.totalShots)} shots`;
+    panel.querySelector('.selection-stats').innerHTML = `
+        <span>FG% <strong>${fmtPct(stats.fg)}</strong></span>
+        <span>vs exp. <strong class="${diffClass}">${fmtPctDiff(stats.fg - stats.xFg)}</strong></span>
+        <span>eFG% <strong>${fmtPct(stats.efg)}</strong></span>
+        <span>PPS <strong>${stats.pps.toFixed(2)}</strong></span>
+        <span>3PA rate <strong>${fmtPct(stats.threePAR)}</strong></span>
+        <span>Avg dist. <strong>${avgDist.toFixed(1)} ft</strong></span>
+    `;
+    panel.querySelector('.selection-players').textContent = top(d => d._player);
+    panel.querySelector('.selection-actions').textContent = top(d => d.ACTION_TYPE);
+    panel.classList.remove('d-none');
+}
+
+// ============================================
+// Custom Regions
+// ============================================
+// User-drawn court regions in feet, the same coordinates as _x/_y:
+//   { id, name, type: 'polygon', points: [[x, y], ...] }
+//   { id, name, type: 'circle', center: [x, y], r }
+// Saved to localStorage without their ids and exchanged as JSON files. Ids
+// are handed out per page load; URLs refer to regions by name.
+const REGIONS_STORAGE_KEY = 'nbaShotRegions';
+const REGION_SNAP_PX = 8;       // a click this close to the first corner closes the polygon
+const REGION_MIN_R_FT = 1;
+const REGION_COLOR = '#ffd33d';
+
+let customRegions = [];
+let nextRegionId = 1;
+
+const roundFt = (v) => Math.round(v * 10) / 10;
+const regionName = (id) => customRegions.find(r => r.id === id).name;
+
+function regionContains(region, x, y) {
+    if (region.type === 'circle') return Math.hypot(x - region.center[0], y - region.center[1]) <= region.r;
+    return d3.polygonContains(region.points, [x, y]);
+}
+
+// Ids of the regions a shot falls in
+const shotRegionIds = (d) => customRegions.filter(r => regionContains(r, d._x, d._y)).map(r => r.id);
+
+// Overlay pixels -> court feet, undoing the court's 180 degree rotation
+const pixelToFeet = (chart, [px, py]) => [
+    roundFt(chart.xScale.invert(2 * chart.CX - px)),
+    roundFt(chart.yScale.invert(2 * chart.CY - py))
+];
+
+const regionShapeLabel = (r) => r.type === 'circle'
+    ? `Circle, ${r.r} ft radius around (${r.center.join(', ')})`
+    : `Polygon, ${r.points.length} corners, ${roundFt(Math.abs(d3.polygonArea(r.points)))} sq ft`;
+
+// Regions from parsed JSON: a list, or { regions: [...] } as exported.
+// Entries without a name or a usable shape are counted in `skipped`.
+function parseRegions(json) {
+    const list = Array.isArray(json) ? json : (json && Array.isArray(json.regions) ? json.regions : null);
+    if (!list) throw new Error('expected a list of regions');
+
+    const isPoint = (p) => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite);
+    const regions = list.filter(r => r && typeof r.name === 'string' && r.name.trim() !== '' && (r.type === 'circle'
+        ? isPoint(r.center) && Number.isFinite(r.r) && r.r > 0
+        : r.type === 'polygon' && Array.isArray(r.points) && r.points.length >= 3 && r.points.every(isPoint)
+    )).map(r => r.type === 'circle'
+        ? { name: r.name.trim(), type: 'circle', center: r.center.map(roundFt), r: roundFt(r.r) }
+        : { name: r.name.trim(), type: 'polygon', points: r.points.map(p => p.map(roundFt)) });
+    return { regions, skipped: list.length - regions.length };
+}
+
+// Stored and exported form
+const regionsJson = () => customRegions.map(({ id, ...region }) => region);
+
+// URLs name regions, so names stay unique: a taken name gets " (2)", " (3)", ...
+function uniqueRegionName(name, exceptId = null) {
+    const used = new Set(customRegions.filter(r => r.id !== exceptId).map(r => r.name));
+    let unique = name;
+    for (let n = 2; used.has(unique); n++) unique = `${name} (${n})`;
+    return unique;
+}
+
+function addRegions(regions) {
+    regions.forEach(region => {
+        customRegions.push({ id: `r${nextRegionId++}`, ...region, name: uniqueRegionName(region.name) });
+    });
+}
+
+function loadRegions() {
+    try {
+        addRegions(parseRegions(JSON.parse(localStorage.getItem(REGIONS_STORAGE_KEY) || '[]')).regions);
+    } catch (error) {
+        console.warn('Could not read saved regions:', error.message);
+    }
+}
+
+function saveRegions() {
+    try {
+        localStorage.setItem(REGIONS_STORAGE_KEY, JSON.stringify(regionsJson()));
+    } catch (error) {
+        console.warn('Could not save regions:', error.message);
+    }
+}
+
+// After regions are added or removed: save, drop filters on removed
+// regions and rebuild the region dimension, whose values are computed once
+function regionsChanged() {
+    saveRegions();
+    const ids = new Set(customRegions.map(r => r.id));
+    [currentFilters, filterStates.A, filterStates.B].filter(Boolean).forEach(filters => {
+        filters.regions = filters.regions.filter(id => ids.has(id));
+    });
+
+    if (cf) {
+        groups.regions.dispose();
+        dimensions.region.dispose();
+        dimensions.region = cf.dimension(shotRegionIds, true);
+        appliedFilters.delete('region');
+        groups.regions = dimensions.region.group().reduce(...tallyReducer);
+    }
+    updateVisualization();
+}
+
+// A new region gets a placeholder name, with its name field ready to edit
+function createRegion(shape) {
+    const used = new Set(customRegions.map(r => r.name));
+    let n = customRegions.length + 1;
+    while (used.has(`Region ${n}`)) n++;
+    addRegions([{ name: `Region ${n}`, ...shape }]);
+    regionsChanged();
+
+    const id = customRegions[customRegions.length - 1].id;
+    const input = document.querySelector(`#regionBreakdown [data-region="${id}"] .region-name`);
+    if (input) {
+        input.focus();
+        input.select();
+    }
+}
+
+function renameRegion(id, name) {
+    const region = customRegions.find(r => r.id === id);
+    if (region && name.trim() !== '') {
+        region.name = uniqueRegionName(name.trim(), region.id);
+        saveRegions();
+    }
+    updateVisualization();
+}
+
+function removeRegion(id) {
+    customRegions = customRegions.filter(r => r.id !== id);
+    regionsChanged();
+}
+
+function exportRegions() {
+    const blob = new Blob([JSON.stringify({ regions: regionsJson() }, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, 'court-regions.json');
+}
+
+// Imported regions are added to the saved ones
+async function importRegions(file) {
+    const status = document.getElementById('regionStatus');
+    try {
+        const { regions, skipped } = parseRegions(JSON.parse(await file.text()));
+        addRegions(regions);
+        status.textContent = `Imported ${regions.length} ${regions.length === 1 ? 'region' : 'regions'}` +
+            (skipped ? `; skipped ${skipped} without a name or shape.` : '.');
+        regionsChanged();
+    } catch (error) {
+        status.textContent = `Could not import ${file.name}: ${error.message}`;
+    }
+}
+
+// Outlines and names in the rotated court group; regions the chart's
+// filters select are filled in
+function drawRegionOutlines(chart, filters = currentFilters) {
+    const { xScale, yScale } = chart;
+    const selected = new Set(filters.regions);
+    const layer = chart.regionsLayer;
+    if (!layer) return;
+    layer.selectAll('*').remove();
+
+    customRegions.forEach(region => {
+        const shape = region.type === 'circle'
+            ? layer.append('circle')
+                .attr('cx', xScale(region.center[0]))
+                .attr('cy', yScale(region.center[1]))
+                .attr('r', Math.abs(xScale(region.r) - xScale(0)))
+            : layer.append('path')
+                .attr('d', 'M' + region.points.map(([x, y]) => `${xScale(x)},${yScale(y)}`).join('L') + 'Z');
+        shape
+            .attr('class', 'region-outline')
+            .attr('fill', REGION_COLOR)
+            .attr('fill-opacity', selected.has(region.id) ? 0.25 : 0.06)
+            .attr('stroke', REGION_COLOR)
+            .attr('stroke-width', 1.5)
+            .attr('stroke-dasharray', selected.has(region.id) ? null : '5 3');
+
+        // Counter-rotate the label so it reads upright
+        const [lx, ly] = region.type === 'circle' ? region.center : d3.polygonCentroid(region.points);
+        layer.append('text')
+            .attr('x', xScale(lx))
+            .attr('y', yScale(ly))
+            .attr('transform', `rotate(180, ${xScale(lx)}, ${yScale(ly)})`)
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'middle')
+            .attr('font-size', 11)
+            .attr('fill', REGION_COLOR)
+            .text(region.name);
+    });
+}
+
+// Polygon tool: click to add corners; double-click, or click the first
+// corner again, to close
+function setupPolygonDraw(chart) {
+    const layer = chart.selectLayer;
+    const capture = layer.insert('rect', '.hover-ring')
+        .attr('class', 'lasso-capture')
+        .attr('width', chart.chartWidth)
+        .attr('height', chart.chartHeight);
+    const path = layer.insert('path', '.hover-ring').attr('class', 'lasso-path');
+
+    let points = [];
+    const near = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]) < REGION_SNAP_PX;
+    const finish = () => {
+        const corners = points;
+        points = [];
+        path.attr('d', null);
+        if (corners.length >= 3 && Math.abs(d3.polygonArea(corners)) > LASSO_MIN_AREA_PX) {
+            createRegion({ type: 'polygon', points: corners.map(p => pixelToFeet(chart, p)) });
+        }
+    };
+
+    capture.on('click', (event) => {
+        const p = d3.pointer(event, chart.wrapper);
+        if (points.length >= 3 && near(p, points[0])) {
+            finish();
+            return;
+        }
+        // The second click of a double-click lands on the last corner
+        if (points.length === 0 || !near(p, points[points.length - 1])) points.push(p);
+        path.attr('d', `M${points.join('L')}`);
+    });
+    capture.on('pointermove', (event) => {
+        if (points.length === 0) return;
+        path.attr('d', `M${[...points, d3.pointer(event, chart.wrapper)].join('L')}Z`);
+    });
+    capture.on('dblclick', (event) => {
+        event.preventDefault();
+        finish();
+    });
+}
+
+// Circle tool: press at the center and drag out the radius
+function setupCircleDraw(chart) {
+    const layer = chart.selectLayer;
+    const capture = layer.insert('rect', '.hover-ring')
+        .attr('class', 'lasso-capture')
+        .attr('width', chart.chartWidth)
+        .attr('height', chart.chartHeight);
+    const circle = layer.insert('circle', '.hover-ring').attr('class', 'lasso-path');
+
+    let center = null;
+    const radiusPx = (event) => {
+        const [px, py] = d3.pointer(event, chart.wrapper);
+        return Math.hypot(px - center[0], py - center[1]);
+    };
+
+    capture.on('pointerdown', (event) => {
+        center = d3.pointer(event, chart.wrapper);
+        chart.dragging = true;
+        circle.attr('cx', center[0]).attr('cy', center[1]).attr('r', 0);
+        if (event.target.setPointerCapture) event.target.setPointerCapture(event.pointerId);
+    });
+    capture.on('pointermove', (event) => {
+        if (center) circle.attr('r', radiusPx(event));
+    });
+    capture.on('pointerup', (event) => {
+        if (!center) return;
+        chart.dragging = false;
+        const r = roundFt(radiusPx(event) / Math.abs(chart.xScale(1) - chart.xScale(0)));
+        const feet = pixelToFeet(chart, center);
+        center = null;
+        circle.attr('r', 0);
+        if (r >= REGION_MIN_R_FT) createRegion({ type: 'circle', center: feet, r });
+    });
+}
+
+// FG%, attempts and points per shot for each region, under every filter
+// except the region filter. Names are edited in place.
+function updateRegionBreakdown() {
+    const container = document.getElementById('regionBreakdown');
+    if (customRegions.length === 0) {
+        container.innerHTML = '<div class="text-secondary small">No regions yet. Draw one with the polygon or circle tool above the court, or import a file.</div>';
+        return;
+    }
+
+    const tallies = new Map(groups.regions.all().map(g => [g.key, g.value]));
+    const selected = new Set(currentFilters.regions);
+    container.innerHTML = `
+        <table class="table table-sm compare-table region-table mb-0">
+            <thead><tr><th>Region</th><th>FGA</th><th>FG%</th><th>PPS</th><th></th></tr></thead>
+            <tbody>${customRegions.map(region => {
+                const t = tallies.get(region.id) || emptyTally();
+                return `
+                <tr class="region-row${selected.has(region.id) ? ' selected' : ''}" data-region="${region.id}" title="${regionShapeLabel(region)}">
+                    <td><input type="text" class="form-control form-control-sm bg-dark text-light region-name" value="${escapeHtml(region.name)}" aria-label="Region name"></td>
+                    <td>${fmtInt(t.fga)}</td>
+                    <td>${t.fga ? fmtPct(t.fgm / t.fga) : '–'}</td>
+                    <td>${t.fga ? (t.pts / t.fga).toFixed(2) : '–'}</td>
+                    <td><button type="button" class="btn btn-link btn-sm p-0 text-secondary region-delete" title="Delete region"><i class="bi bi-trash"></i></button></td>
+                </tr>`;
+            }).join('')}
+            </tbody>
+        </table>
+        <div class="text-secondary small mt-1">Click a row to filter; Ctrl-click to add or remove.</div>
+    `;
+    container.querySelectorAll('.region-row').forEach(row => {
+        const id = row.dataset.region;
+        row.addEventListener('click', (event) => {
+            if (!event.target.closest('input, button')) selectRegionFromClick(id, event);
+        });
+        row.querySelector('.region-name').addEventListener('change', function() {
+            renameRegion(id, this.value);
+        });
+        row.querySelector('.region-delete').addEventListener('click', () => removeRegion(id));
+    });
+}
+
+// Same click rules as the detailed zones
+function selectRegionFromClick(id, event) {
+    const isCtrlOrCmd = event && (event.ctrlKey || event.metaKey);
+
+    if (isCtrlOrCmd) {
+        const index = currentFilters.regions.indexOf(id);
+        if (index > -1) currentFilters.regions.splice(index, 1);
+        else currentFilters.regions.push(id);
+    } else {
+        currentFilters.regions = [id];
+    }
+
+    updateVisualization();
+}
+
+// ============================================
+// League Baseline (by zone and distance band)
+// ============================================
+const emptyTally = () => ({ fga: 0, fgm: 0, pts: 0 });
+
+function addToTally(tally, d) {
+    tally.fga += 1;
+    tally.fgm += d._made ? 1 : 0;
+    tally.pts += d._pts;
+}
+
+// Crossfilter group.reduce() arguments for a tally per group key
+const tallyReducer = [
+    (p, d) => {
+        addToTally(p, d);
+        return p;
+    },
+    (p, d) => {
+        p.fga -= 1;
+        p.fgm -= d._made ? 1 : 0;
+        p.pts -= d._pts;
+        return p;
+    },
+    emptyTally
+];
+
+function addTallies(into, from) {
+    into.fga += from.fga;
+    into.fgm += from.fgm;
+    into.pts += from.pts;
+}
+
+// A shot cell: one zone x distance band x detailed zone. Shots in a cell
+// share a league expectation, so stats only need per-cell counts.
+const shotCellKey = (d) => `${d._zone}|${d._band}|${subZoneKey(d)}`;
+const emptyCell = () => ({ ...emptyTally(), threes: 0, threesMade: 0, zone: '', band: 0, subZone: '' });
+
+function addToCell(cell, d) {
+    addToTally(cell, d);
+    cell.threes += d._three ? 1 : 0;
+    cell.threesMade += d._three && d._made ? 1 : 0;
+    cell.zone = d._zone;
+    cell.band = d._band;
+    cell.subZone = subZoneKey(d);
+}
+
+// Cells for an array of shots (selections, compare sides, exports)
+function tallyCells(data) {
+    const cells = new Map();
+    data.forEach(d => {
+        const key = shotCellKey(d);
+        if (!cells.has(key)) cells.set(key, emptyCell());
+        addToCell(cells.get(key), d);
+    });
+    return [...cells.values()];
+}
+
+// Non-empty cells under the filters crossfilter last applied
+const filteredCells = () => groups.cells.all().map(g => g.value).filter(c => c.fga > 0);
+
+// The rows themselves, only for the charts that draw single shots
+const filteredRows = () => dimensions.all.top(Infinity);
+
+// League makes/attempts/points for the seasons of `filters`, overall, per
+// zone, per detailed zone and per zone x distance band. A single loaded
+// season comes straight from the season index; ranges are merged once and
+// cached.
+function getLeagueBaseline(filters = currentFilters) {
+    const key = seasonKey(filters);
+    const entries = seasonEntries(filters.seasons);
+    if (entries.length === 1) return entries[0].baseline;
+    if (leagueBaselines.has(key)) return leagueBaselines.get(key);
+
+    const baseline = { key, overall: emptyTally(), zones: new Map(), subZones: new Map(), cells: new Map() };
+    entries.forEach(entry => {
+        addTallies(baseline.overall, entry.baseline.overall);
+        ['zones', 'subZones', 'cells'].forEach(level => {
+            entry.baseline[level].forEach((tally, k) => {
+                if (!baseline[level].has(k)) baseline[level].set(k, emptyTally());
+                addTallies(baseline[level].get(k), tally);
+            });
+        });
+    });
+    leagueBaselines.set(key, baseline);
+    return baseline;
+}
+
+// League FG% and points per shot expected at this zone and distance band
+function expectedAt(zone, band, baseline) {
+    let tally = baseline.cells.get(`${zone}|${band}`);
+    if (!tally || tally.fga < CONFIG.BASELINE_MIN_FGA) tally = baseline.zones.get(zone);
+    if (!tally || tally.fga === 0) tally = baseline.overall;
+    return tally.fga ? { fg: tally.fgm / tally.fga, pts: tally.pts / tally.fga } : { fg: 0, pts: 0 };
+}
+
+// Actual vs expected makes and points over a set of shot cells
+function summarizeVsExpected(cells, baseline) {
+    const summary = { fga: 0, fgm: 0, pts: 0, xFgm: 0, xPts: 0 };
+    cells.forEach(c => {
+        const exp = expectedAt(c.zone, c.band, baseline);
+        addTallies(summary, c);
+        summary.xFgm += c.fga * exp.fg;
+        summary.xPts += c.fga * exp.pts;
+    });
+    return summary;
+}
+
+// ============================================
+// KPI Updates
+// ============================================
+// Headline numbers for a set of shots, measured against the league
+// baseline for the season of `filters`
+function computeShotStats(data, filters = currentFilters) {
+    return statsFromCells(tallyCells(data), filters);
+}
+
+function statsFromCells(cells, filters = currentFilters) {
+    // League FG% for the season
+    const baseline = getLeagueBaseline(filters);
+    const seasonFg = baseline.overall.fga ? baseline.overall.fgm / baseline.overall.fga : 0;
+
+    // Location-aware expectation: league FG% / points at each shot's zone and distance
+    const vsExp = summarizeVsExpected(cells, baseline);
+    const totalShots = vsExp.fga;
+    const madeShots = vsExp.fgm;
+    const fg = totalShots ? madeShots / totalShots : 0;
+
+    // 3PT stats
+    const threes = d3.sum(cells, c => c.threes);
+    const threesMade = d3.sum(cells, c => c.threesMade);
+
+    return {
+        totalShots,
+        madeShots,
+        fg,
+        leagueFg: seasonFg,
+        xFg: totalShots ? vsExp.xFgm / totalShots : 0,
+        pps: totalShots ? vsExp.pts / totalShots : 0,
+        xPps: totalShots ? vsExp.xPts / totalShots : 0,
+        ptsVsExp: vsExp.pts - vsExp.xPts,
+        threesMade,
+        threePct: threes ? threesMade / threes : 0,
+        threePAR: totalShots ? threes / totalShots : 0,
+        efg: totalShots ? (madeShots + 0.5 * threesMade) / totalShots : 0
+    };
+}
+
+// KPIs from the filtered shot cells
+function updateKPIs(cells) {
+    const stats = statsFromCells(cells);
+    const { totalShots, madeShots, fg, xFg, pps, xPps, ptsVsExp, threePct, threePAR, efg } = stats;
+    leagueFg = stats.leagueFg;
+
+    // FG% vs league average
+    const fgDiff = fg - leagueFg;
+
+    // Update DOM (numbers count over during a season transition)
+    const fmtCount = (v) => fmtInt(Math.round(v));
+    animateKPI('kpi-shots', totalShots, fmtCount);
+    animateKPI('kpi-makes', madeShots, fmtCount);
+    animateKPI('kpi-fg', fg, fmtPct);
+    animateKPI('kpi-3p', threePct, fmtPct);
+    animateKPI('kpi-3pa-rate', threePAR, fmtPct);
+    animateKPI('kpi-xfg', xFg, fmtPct);
+    animateKPI('kpi-pps', totalShots ? `${pps.toFixed(2)} / ${xPps.toFixed(2)}` : '--');
+    if (totalShots) animateKPI('kpi-pts-vs-exp', ptsVsExp, fmtSigned);
+    else animateKPI('kpi-pts-vs-exp', '--');
+    document.getElementById('kpi-pts-vs-exp').title = totalShots
+        ? `${fmtSigned(ptsVsExp / totalShots, 3)} points per shot vs. league at the same locations`
+        : '';
+
+    // eFG% - only show when no zone filter is active
+    const efgEl = document.getElementById('kpi-efg');
+    if (currentFilters.zones.length === 0 && currentFilters.subZones.length === 0 && currentFilters.regions.length === 0) {
+        efgEl.textContent = fmtPct(efg);
+    } else {
+        efgEl.textContent = '--';
+    }
+
+    // FG% difference with color
+    const fgDiffEl = document.getElementById('kpi-fg-diff');
+    tweenNumber('kpi-fg-diff', fgDiffEl, fgDiff, fmtPctDiff);
+    fgDiffEl.className = 'fw-bold ' + (fgDiff >= 0 ? 'fg-positive' : 'fg-negative');
+
+    const xFgDiff = fg - xFg;
+    const xFgDiffEl = document.getElementById('kpi-fg-diff-exp');
+    tweenNumber('kpi-fg-diff-exp', xFgDiffEl, xFgDiff, fmtPctDiff);
+    xFgDiffEl.className = 'fw-bold ' + (xFgDiff >= 0 ? 'fg-positive' : 'fg-negative');
+
+    // Shot Distribution (2PT vs 3PT)
+    const twoPtPct = 1 - threePAR;
+    document.getElementById('kpi-2pt-pct').textContent = fmtPct(twoPtPct);
+    document.getElementById('kpi-3pt-pct').textContent = fmtPct(threePAR);
+    document.getElementById('progress-2pt').style.width = (twoPtPct * 100) + '%';
+    document.getElementById('progress-3pt').style.width = (threePAR * 100) + '%';
+}
+
+// Numeric values pass a `format` so they can be tweened
+function animateKPI(elementId, value, format = null) {
+    const el = document.getElementById(elementId);
+    if (el) {
+        if (format) {
+            tweenNumber(elementId, el, value, format);
+        } else {
+            tweens.delete(elementId);
+            shownValues.delete(elementId);
+            el.textContent = value;
+        }
+        el.classList.add('updated');
+        setTimeout(() => el.classList.remove('updated'), 300);
+    }
+}
+
+function updateZoneBreakdown(cells) {
+    if (zoneMode === 'detail') {
+        updateDetailZoneBreakdown(cells);
+        return;
+    }
+
+    const zoneOrder = ZONE_ORDER;
+    const zoneShortNames = ZONE_SHORT_NAMES;
+
+    // Calculate FG% by zone, with league expectation at the same locations
+    const baseline = getLeagueBaseline();
+    const zoneStats = {};
+    zoneOrder.forEach(zone => {
+        const vsExp = summarizeVsExpected(cells.filter(c => c.zone === zone), baseline);
+        const total = vsExp.fga;
+        zoneStats[zone] = {
+            total,
+            fg: total > 0 ? vsExp.fgm / total : 0,
+            xFg: total > 0 ? vsExp.xFgm / total : 0,
+            ptsVsExp: vsExp.pts - vsExp.xPts
+        };
+    });
+
+    // Build HTML
+    const container = document.getElementById('zoneBreakdown');
+    container.className = 'zone-breakdown';
+    container.innerHTML = zoneOrder.map(zone => {
+        const stats = zoneStats[zone];
+        const expLine = stats.total > 0
+            ? `xFG ${fmtPct(stats.xFg)} · <span class="${stats.ptsVsExp >= 0 ? 'fg-positive' : 'fg-negative'}">${fmtSigned(stats.ptsVsExp)} pts</span>`
+            : 'No attempts';
+        const title = stats.total > 0
+            ? `${fmtInt(stats.total)} attempts, ${fmtSigned(stats.ptsVsExp / stats.total, 3)} points per shot vs. expected`
+            : '';
+        return `
+        <div class="zone-item" title="${title}">
+            <div class="zone-name">${zoneShortNames[zone]}</div>
+            <div class="zone-fg">${fmtPct(stats.fg)}</div>
+            <div class="zone-exp">${expLine}</div>
+        </div>
+    `;
+    }).join('');
+    container.querySelectorAll('.zone-fg').forEach((el, i) => {
+        tweenNumber(`zone-fg|${zoneOrder[i]}`, el, zoneStats[zoneOrder[i]].fg, fmtPct);
+    });
+}
+
+// FG%, share of attempts and points per shot for each of the 14 zones.
+// Rows are clickable like the court wedges.
+function updateDetailZoneBreakdown(cells) {
+    const tallies = new Map(DETAIL_ZONES.map(z => [z.key, emptyTally()]));
+    cells.forEach(c => {
+        const tally = tallies.get(c.subZone);
+        if (tally) addTallies(tally, c);
+    });
+    const total = d3.sum(cells, c => c.fga);
+
+    const selected = new Set(currentFilters.subZones);
+    const rows = ZONE_RANGES.map(range => DETAIL_ZONES.filter(z => z.range === range).map((zone, i, group) => {
+        const t = tallies.get(zone.key);
+        return `
+        <tr class="subzone-row${selected.has(zone.key) ? ' selected' : ''}" data-subzone="${zone.key}">
+            ${i === 0 ? `<td rowspan="${group.length}" class="text-secondary">${range.replace('Less Than ', '< ')}</td>` : ''}
+            <td>${zone.area}</td>
+            <td>${t.fga ? fmtPct(t.fgm / t.fga) : '–'}</td>
+            <td>${total ? fmtPct(t.fga / total) : '–'}</td>
+            <td>${t.fga ? (t.pts / t.fga).toFixed(2) : '–'}</td>
+        </tr>`;
+    }).join('')).join('');
+
+    const container = document.getElementById('zoneBreakdown');
+    container.className = 'zone-breakdown detail';
+    container.innerHTML = `
+        <table class="table table-sm compare-table mb-0">
+            <thead><tr><th>Range</th><th>Area</th><th>FG%</th><th>Freq</th><th>PPS</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    container.querySelectorAll('.subzone-row').forEach(row => {
+        row.addEventListener('click', (event) => selectSubZoneFromClick(row.dataset.subzone, event));
+    });
+}
+
+// ============================================
+// Action Type Breakdown
+// ============================================
+const ACTION_BREAKDOWN_LIMIT = 10;
+
+// Most common action types under every filter except the action filter
+// itself, so the selected ones stay in context. Clicking a row filters to it.
+function updateActionBreakdown() {
+    const tallies = groups.actions.all().filter(g => g.key && g.value.fga > 0);
+    const total = d3.sum(tallies, g => g.value.fga);
+    const selected = new Set(currentFilters.actions);
+
+    // Keep selected actions listed even when they fall outside the top N
+    const sorted = tallies.sort((a, b) => b.value.fga - a.value.fga);
+    const top = sorted.filter((g, i) => i < ACTION_BREAKDOWN_LIMIT || selected.has(g.key));
+    const maxFga = top.length ? top[0].value.fga : 0;
+
+    const container = document.getElementById('actionBreakdown');
+    if (top.length === 0) {
+        container.innerHTML = '<div class="text-secondary small">No shots match the current filters.</div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="table table-sm compare-table action-table mb-0">
+            <thead><tr><th>Action</th><th>FGA</th><th>Share</th><th>FG%</th><th>PPS</th></tr></thead>
+            <tbody>${top.map(({ key, value: t }) => `
+                <tr class="action-row${selected.has(key) ? ' selected' : ''}" data-action="${key}">
+                    <td>
+                        <div class="action-name">${key}</div>
+                        <div class="action-bar" style="width: ${(t.fga / maxFga * 100).toFixed(1)}%"></div>
+                    </td>
+                    <td>${fmtInt(t.fga)}</td>
+                    <td>${fmtPct(t.fga / total)}</td>
+                    <td>${fmtPct(t.fgm / t.fga)}</td>
+                    <td>${(t.pts / t.fga).toFixed(2)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        <div class="text-secondary small mt-1">
+            ${sorted.length > top.length ? `${sorted.length - top.length} less common action types not shown. ` : ''}Click a row to filter; Ctrl-click to add or remove.
+        </div>
+    `;
+    container.querySelectorAll('.action-row').forEach(row => {
+        row.addEventListener('click', (event) => selectActionFromClick(row.dataset.action, event));
+    });
+}
+
+function selectActionFromClick(action, event) {
+    const isCtrlOrCmd = event && (event.ctrlKey || event.metaKey);
+    let actions;
+
+    if (isCtrlOrCmd) {
+        actions = currentFilters.actions.includes(action)
+            ? currentFilters.actions.filter(a => a !== action)
+            : [...currentFilters.actions, action];
+    } else {
+        actions = [action];
+    }
+
+    setSelectFilter('action', actions);
+}
+
+// ============================================
+// Shot Distance Histogram
+// ============================================
+// 1-ft bins, made stacked under missed. The last bin collects everything at
+// or beyond DIST_HIST_MAX_FT. Brushing sets currentFilters.distance.
+const DIST_HIST_MAX_FT = 40;
+let distanceHist = null;
+
+const distanceBin = (ft) => Math.min(Math.floor(ft), DIST_HIST_MAX_FT);
+const fmtDistance = ([minFt, maxFt]) => maxFt >= DIST_HIST_MAX_FT ? `${minFt}+ ft` : `${minFt}–${maxFt} ft`;
+
+function setupDistanceHistogram() {
+    const container = document.getElementById('distanceHistogram');
+    const width = container.clientWidth || 600;
+    const height = 150;
+    const margin = { top: 14, right: 12, bottom: 24, left: 40 };
+
+    const x = d3.scaleLinear()
+        .domain([0, DIST_HIST_MAX_FT + 1])
+        .range([margin.left, width - margin.right]);
+    const y = d3.scaleLinear().range([height - margin.bottom, margin.top]);
+
+    container.innerHTML = '';
+    const svg = d3.select(container)
+        .append('svg')
+        .attr('width', width)
+        .attr('height', height);
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0, ${height - margin.bottom})`)
+        .call(d3.axisBottom(x)
+            .tickValues(d3.range(0, DIST_HIST_MAX_FT + 1, 5))
+            .tickFormat(ft => ft === DIST_HIST_MAX_FT ? `${ft}+` : ft)
+            .tickSize(3));
+    const yAxis = svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(${margin.left}, 0)`);
+    const bars = svg.append('g');
+
+    // 3PT line: arc distance, plus the shorter corner distance
+    [[CONFIG.CORNER, 'corner'], [CONFIG.THREE_R, '3PT']].forEach(([ft, label]) => {
+        svg.append('line')
+            .attr('class', `three-marker${label === 'corner' ? ' corner' : ''}`)
+            .attr('x1', x(ft)).attr('x2', x(ft))
+            .attr('y1', margin.top).attr('y2', height - margin.bottom);
+        svg.append('text')
+            .attr('class', 'three-marker-label')
+            .attr('x', x(ft))
+            .attr('y', margin.top - 4)
+            .attr('text-anchor', label === 'corner' ? 'end' : 'start')
+            .text(label === 'corner' ? `${ft}' corner` : `${ft}' 3PT`);
+    });
+
+    const brush = d3.brushX()
+        .extent([[margin.left, margin.top], [width - margin.right, height - margin.bottom]])
+        .on('end', (event) => {
+            // Ignore programmatic moves (syncing, snapping)
+            if (!event.sourceEvent) return;
+            if (!event.selection) {
+                currentFilters.distance = null;
+            } else {
+                // Snap to whole bins
+                const [x0, x1] = event.selection.map(x.invert);
+                const minFt = Math.max(0, Math.round(x0));
+                const maxFt = Math.min(DIST_HIST_MAX_FT, Math.max(minFt, Math.round(x1) - 1));
+                currentFilters.distance = minFt === 0 && maxFt === DIST_HIST_MAX_FT ? null : [minFt, maxFt];
+            }
+            syncDistanceBrush();
+            updateVisualization();
+        });
+    const brushG = svg.append('g').attr('class', 'brush').call(brush);
+
+    // The brush overlay covers the bars, so hover reads the bin from x
+    const readout = document.getElementById('distanceReadout');
+    brushG
+        .on('mousemove.readout', (event) => {
+            const ft = distanceBin(Math.max(0, x.invert(d3.pointer(event)[0])));
+            const t = distanceHist.counts.get(ft);
+            readout.textContent = `${ft === DIST_HIST_MAX_FT ? `${ft}+` : ft} ft: ` +
+                (t && t.fga ? `${fmtInt(t.fga)} shots · ${fmtPct(t.fgm / t.fga)} FG` : 'no shots');
+        })
+        .on('mouseleave.readout', () => { readout.textContent = ''; });
+
+    distanceHist = { x, y, yAxis, bars, brush, brushG, counts: new Map() };
+    syncDistanceBrush();
+}
+
+// Move the brush to match currentFilters.distance without filtering
+function syncDistanceBrush() {
+    if (!distanceHist) return;
+    const { x, brush, brushG } = distanceHist;
+    const range = currentFilters.distance;
+    brushG.call(brush.move, range ? [x(range[0]), x(range[1] + 1)] : null);
+    document.getElementById('distanceLabel').textContent = range ? fmtDistance(range) : 'All distances';
+}
+
+// Bars come from the distance group, which ignores the distance filter, so
+// the shots outside a brushed range stay visible around it.
+function updateDistanceHistogram() {
+    if (!distanceHist) return;
+    const { x, y, yAxis, bars } = distanceHist;
+    const bins = groups.distanceBins.all();
+    distanceHist.counts = new Map(bins.map(b => [b.key, b.value]));
+    const range = currentFilters.distance;
+    const inRange = (ft) => !range || (ft >= range[0] && ft <= range[1]);
+
+    y.domain([0, d3.max(bins, b => b.value.fga) || 1]).nice();
+    yAxis.call(d3.axisLeft(y).ticks(4, 's').tickSize(3));
+
+    const barWidth = Math.max(1, x(1) - x(0) - 1);
+    bars.selectAll('g.dist-bin')
+        .data(bins.filter(b => b.value.fga > 0), b => b.key)
+        .join(enter => {
+            const g = enter.append('g').attr('class', 'dist-bin');
+            g.append('rect').attr('class', 'dist-bar made');
+            g.append('rect').attr('class', 'dist-bar missed');
+            return g;
+        })
+        .classed('out-of-range', b => !inRange(b.key))
+        .each(function(b) {
+            const g = d3.select(this);
+            const { fga, fgm } = b.value;
+            g.select('.made')
+                .attr('x', x(b.key)).attr('width', barWidth)
+                .attr('y', y(fgm)).attr('height', y(0) - y(fgm));
+            g.select('.missed')
+                .attr('x', x(b.key)).attr('width', barWidth)
+                .attr('y', y(fga)).attr('height', y(fgm) - y(fga));
+        });
+}
+
+// ============================================
+// Player Profile
+// ============================================
+// Shown while exactly one player is selected. Covers every loaded shot of
+// that player, whatever the other filters are, so the career stays in view.
+const PROFILE_COURT_W = 120;
+const PROFILE_COURT_FT = 32;    // mini courts show baseline to 32 ft
+const PROFILE_SPARK_W = 160;
+const PROFILE_SPARK_H = 28;
+
+const POSITION_LABELS = { G: 'Guard', F: 'Forward', C: 'Center' };
+
+const PROFILE_SPARKLINES = [
+    { key: 'fg', label: 'FG%' },
+    { key: 'threePAR', label: '3PA rate' },
+    { key: 'efg', label: 'eFG%' }
+];
+
+let profileCache = null;   // { key, profile }
+
+const profilePlayer = () => currentFilters.players.length === 1 ? currentFilters.players[0] : null;
+
+function summarizeProfileShots(shots) {
+    const t = emptyTally();
+    let threes = 0, threesMade = 0;
+    shots.forEach(d => {
+        addToTally(t, d);
+        if (d._three) {
+            threes += 1;
+            threesMade += d._made ? 1 : 0;
+        }
+    });
+    return {
+        fga: t.fga,
+        fg: t.fga ? t.fgm / t.fga : 0,
+        threePAR: t.fga ? threes / t.fga : 0,
+        efg: t.fga ? (t.fgm + 0.5 * threesMade) / t.fga : 0
+    };
+}
+
+// Per-season splits, plus zone FG% next to the player's position group
+// over the same seasons. Cached until the player or the loaded data changes.
+function getPlayerProfile(player) {
+    const key = `${player}|${allData.length}`;
+    if (profileCache && profileCache.key === key) return profileCache.profile;
+
+    const shots = allData.filter(d => d._player === player);
+    const pos = d3.greatest(d3.rollups(shots, v => v.length, d => d._pos), p => p[1]);
+    const position = pos ? pos[0] : '';
+
+    const seasons = d3.groups(shots, d => +d.SEASON_1)
+        .sort((a, b) => a[0] - b[0])
+        .map(([year, rows]) => ({
+            year,
+            shots: rows,
+            teams: d3.rollups(rows, v => v.length, d => d._team)
+                .sort((a, b) => b[1] - a[1])
+                .map(([team]) => team),
+            ...summarizeProfileShots(rows)
+        }));
+
+    const seasonSet = new Set(seasons.map(s => String(s.year)));
+    const playerZones = new Map(ZONE_ORDER.map(z => [z, emptyTally()]));
+    const groupZones = new Map(ZONE_ORDER.map(z => [z, emptyTally()]));
+    shots.forEach(d => {
+        if (playerZones.has(d._zone)) addToTally(playerZones.get(d._zone), d);
+    });
+    allData.forEach(d => {
+        if (d._pos === position && seasonSet.has(d.SEASON_1) && groupZones.has(d._zone)) {
+            addToTally(groupZones.get(d._zone), d);
+        }
+    });
+
+    const profile = {
+        player,
+        position,
+        shots: shots.length,
+        seasons,
+        zones: ZONE_ORDER.map(zone => ({ zone, player: playerZones.get(zone), group: groupZones.get(zone) }))
+    };
+    profileCache = { key, profile };
+    return profile;
+}
+
+function updatePlayerProfile() {
+    const panel = document.getElementById('playerProfile');
+    const player = profilePlayer();
+    if (!player) {
+        panel.classList.add('d-none');
+        return;
+    }
+
+    const profile = getPlayerProfile(player);
+    panel.classList.remove('d-none');
+
+    // The courts and tables only change with the data; the season highlight
+    // follows the slider on every update
+    if (panel.dataset.key !== profileCache.key) {
+        panel.dataset.key = profileCache.key;
+        renderProfileHeader(profile);
+        renderProfileSeasons(profile);
+        renderProfileZones(profile);
+        renderProfileCourts(profile);
+    }
+    renderProfileSparklines(profile);
+
+    const [from, to] = currentFilters.seasons;
+    const all = isAllSeasons(currentFilters.seasons);
+    panel.querySelectorAll('[data-season]').forEach(el => {
+        el.classList.toggle('active', !all && +el.dataset.season >= from && +el.dataset.season <= to);
+    });
+}
+
+function renderProfileHeader(profile) {
+    const { seasons } = profile;
+    const span = seasons.length
+        ? `${seasons[0].year}–${seasons[seasons.length - 1].year}`
+        : '';
+    const pending = datasetMode === 'full' && !SEASONS.every(isSeasonReady);
+
+    document.getElementById('profileTitle').textContent = profile.player;
+    document.getElementById('profileMeta').textContent = [
+        POSITION_LABELS[profile.position] || profile.position,
+        `${seasons.length} season${seasons.length === 1 ? '' : 's'} (${span})`,
+        `${fmtInt(profile.shots)} shots`,
+        pending ? 'loading remaining seasons…' : ''
+    ].filter(Boolean).join(' · ');
+}
+
+function renderProfileSeasons(profile) {
+    const table = document.getElementById('profileSeasons');
+    table.innerHTML = `
+        <thead><tr><th>Season</th><th>Team</th><th>FGA</th><th>FG%</th></tr></thead>
+        <tbody>${profile.seasons.map(s => `
+            <tr class="profile-season-row" data-season="${s.year}" title="Show ${s.year}">
+                <td>${s.year}</td>
+                <td>${s.teams.join(', ')}</td>
+                <td>${fmtInt(s.fga)}</td>
+                <td>${fmtPct(s.fg)}</td>
+            </tr>`).join('')}
+        </tbody>
+    `;
+    table.querySelectorAll('.profile-season-row').forEach(row => {
+        row.addEventListener('click', () => setSeasonRange([+row.dataset.season, +row.dataset.season]));
+    });
+}
+
+function renderProfileSparklines(profile) {
+    const container = document.getElementById('profileSparklines');
+    const { seasons } = profile;
+    container.innerHTML = '';
+    if (seasons.length === 0) return;
+
+    const x = d3.scaleLinear()
+        .domain(d3.extent(seasons, s => s.year))
+        .range([4, PROFILE_SPARK_W - 4]);
+    if (seasons.length === 1) x.domain([seasons[0].year - 1, seasons[0].year + 1]);
+    const current = seasons.find(s => s.year === singleSeason(currentFilters.seasons));
+
+    PROFILE_SPARKLINES.forEach(({ key, label }) => {
+        const row = d3.select(container).append('div').attr('class', 'sparkline-row');
+        row.append('span').attr('class', 'sparkline-label').text(label);
+
+        const y = d3.scaleLinear()
+            .domain(d3.extent(seasons, s => s[key]))
+            .range([PROFILE_SPARK_H - 4, 4]);
+        if (y.domain()[0] === y.domain()[1]) y.domain([y.domain()[0] - 0.05, y.domain()[1] + 0.05]);
+
+        const svg = row.append('svg')
+            .attr('width', PROFILE_SPARK_W)
+            .attr('height', PROFILE_SPARK_H);
+
+        // Break the line across seasons the player missed
+        const points = d3.range(seasons[0].year, seasons[seasons.length - 1].year + 1)
+            .map(year => seasons.find(s => s.year === year) || { year, missing: true });
+        svg.append('path')
+            .attr('class', 'sparkline')
+            .attr('d', d3.line()
+                .defined(s => !s.missing)
+                .x(s => x(s.year))
+                .y(s => y(s[key]))(points));
+
+        svg.selectAll('circle')
+            .data(seasons)
+            .join('circle')
+            .attr('class', s => `sparkline-dot${s === current ? ' active' : ''}`)
+            .attr('cx', s => x(s.year))
+            .attr('cy', s => y(s[key]))
+            .attr('r', s => s === current ? 3 : 1.5)
+            .append('title')
+            .text(s => `${s.year}: ${fmtPct(s[key])}`);
+
+        const shown = current || seasons[seasons.length - 1];
+        row.append('span')
+            .attr('class', 'sparkline-value')
+            .text(`${fmtPct(shown[key])} (${shown.year})`);
+    });
+}
+
+function renderProfileZones(profile) {
+    const groupLabel = POSITION_LABELS[profile.position] || profile.position || 'Position';
+    const rows = profile.zones.filter(z => z.player.fga > 0).map(({ zone, player, group }) => {
+        const fg = player.fgm / player.fga;
+        const groupFg = group.fga ? group.fgm / group.fga : null;
+        const diff = groupFg === null ? '–' : `<span class="${fg >= groupFg ? 'fg-positive' : 'fg-negative'}">${fmtPctDiff(fg - groupFg)}</span>`;
+        return `
+            <tr>
+                <td>${ZONE_SHORT_NAMES[zone]}</td>
+                <td>${fmtPct(fg)} <span class="text-secondary">(${fmtInt(player.fga)})</span></td>
+                <td>${groupFg === null ? '–' : fmtPct(groupFg)}</td>
+                <td>${diff}</td>
+            </tr>`;
+    }).join('');
+
+    document.getElementById('profileZones').innerHTML = `
+        <thead><tr><th>Zone</th><th>FG% (FGA)</th><th>${groupLabel}s</th><th>Diff</th></tr></thead>
+        <tbody>${rows}</tbody>
+    `;
+}
+
+// One small chart per season; click to jump the main view to that season
+function renderProfileCourts(profile) {
+    const container = document.getElementById('profileCourts');
+    container.innerHTML = '';
+
+    profile.seasons.forEach(s => {
+        const item = document.createElement('div');
+        item.className = 'profile-court';
+        item.dataset.season = s.year;
+        item.title = `${s.year} (${s.teams.join(', ')}): ${fmtInt(s.fga)} shots, ${fmtPct(s.fg)} FG`;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = PROFILE_COURT_W;
+        canvas.height = Math.round(PROFILE_COURT_W * PROFILE_COURT_FT / 50);
+        drawMiniCourt(canvas, s.shots);
+
+        const caption = document.createElement('div');
+        caption.className = 'profile-court-caption';
+        caption.innerHTML = `<strong>${s.year}</strong> · ${fmtPct(s.fg)}`;
+
+        item.append(canvas, caption);
+        item.addEventListener('click', () => setSeasonRange([s.year, s.year]));
+        container.appendChild(item);
+    });
+}
+
+// Hoop at the top and x mirrored, matching the main court's rotation.
+// `xDomain` picks the slice of the court width to draw (feet, left edge first).
+function drawMiniCourt(canvas, shots, { xDomain = [25, -25], maxFt = PROFILE_COURT_FT } = {}) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const x = d3.scaleLinear().domain(xDomain).range([0, width]);
+    const y = d3.scaleLinear().domain([0, maxFt]).range([0, height]);
+    const ft = width / Math.abs(xDomain[0] - xDomain[1]);
+
+    ctx.fillStyle = CONFIG.COURT_FILL;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.strokeStyle = CONFIG.LINE_COLOR;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x(8), y(0), x(-8) - x(8), y(19) - y(0));
+
+    ctx.beginPath();
+    ctx.arc(x(0), y(19), 6 * ft, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(x(CONFIG.CORNER), y(0));
+    ctx.lineTo(x(CONFIG.CORNER), y(CONFIG.Y_BREAK));
+    d3.range(0, 1.0001, 1 / 60).forEach(t => {
+        const a = CONFIG.ARC_RIGHT + (CONFIG.ARC_LEFT - CONFIG.ARC_RIGHT) * t;
+        ctx.lineTo(x(CONFIG.THREE_R * Math.cos(a)), y(CONFIG.HOOP_Y + CONFIG.THREE_R * Math.sin(a)));
+    });
+    ctx.lineTo(x(-CONFIG.CORNER), y(0));
+    ctx.stroke();
+
+    ctx.strokeStyle = CONFIG.RIM_COLOR;
+    ctx.beginPath();
+    ctx.arc(x(0), y(CONFIG.HOOP_Y), 0.75 * ft, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    ctx.globalAlpha = CONFIG.DOT_A;
+    shots.forEach(d => {
+        if (d._y > maxFt) return;
+        ctx.fillStyle = d._made ? 'green' : 'red';
+        ctx.fillRect(x(d._x) - 1, y(d._y) - 1, 2, 2);
+    });
+    ctx.globalAlpha = 1;
+}
+
+// ============================================
+// Leaderboards
+// ============================================
+// Ranks players from the player group, which sees every active filter
+// except the player filter, so the selected player keeps their rank.
+const LEADERBOARD_ROWS = 20;
+
+const LEADER_METRICS = {
+    fg: { label: 'FG%', value: p => p.fgm / p.fga, format: fmtPct },
+    efg: { label: 'eFG%', value: p => (p.fgm + 0.5 * p.threesMade) / p.fga, format: fmtPct },
+    pps: { label: 'PPS', value: p => p.pts / p.fga, format: v => v.toFixed(2) },
+    fga: { label: 'FGA', value: p => p.fga, format: fmtInt }
+};
+
+let leaderMetric = 'fg';
+let leaderMinFga = 50;
+
+// League FG% for the player's own zone mix (season baseline by zone)
+function leagueFgForMix(zoneFga, baseline) {
+    let fga = 0, xFgm = 0;
+    Object.entries(zoneFga).forEach(([zone, n]) => {
+        if (n === 0) return;
+        const tally = baseline.zones.get(zone) || baseline.overall;
+        fga += n;
+        xFgm += tally.fga ? n * tally.fgm / tally.fga : 0;
+    });
+    return fga ? xFgm / fga : 0;
+}
+
+function updateLeaderboard() {
+    const metric = LEADER_METRICS[leaderMetric];
+    const baseline = getLeagueBaseline();
+    const selected = new Set(currentFilters.players);
+
+    const qualified = groups.players.all()
+        .filter(g => g.key && g.value.fga >= leaderMinFga)
+        .map(g => ({ player: g.key, stats: g.value, value: metric.value(g.value) }))
+        .sort((a, b) => b.value - a.value || b.stats.fga - a.stats.fga);
+
+    const container = document.getElementById('leaderboard');
+    document.getElementById('leaderCount').textContent =
+        `${fmtInt(qualified.length)} player${qualified.length === 1 ? '' : 's'} with ${leaderMinFga}+ FGA`;
+    if (qualified.length === 0) {
+        container.innerHTML = '<div class="text-secondary small">No players reach the minimum attempts under the current filters.</div>';
+        return;
+    }
+
+    // Keep selected players listed below the cut
+    const rows = qualified
+        .map((row, i) => ({ ...row, rank: i + 1 }))
+        .filter(row => row.rank <= LEADERBOARD_ROWS || selected.has(row.player));
+
+    container.innerHTML = `
+        <table class="table table-sm compare-table mb-0">
+            <thead><tr>
+                <th>#</th><th>Player</th><th>${metric.label}</th><th>FGA</th><th>FGM</th><th>FG%</th>
+                <th title="FG% minus the league FG% for the same zone mix this season">vs Lg</th>
+            </tr></thead>
+            <tbody>${rows.map(({ player, stats, value, rank }) => {
+                const fg = stats.fgm / stats.fga;
+                const diff = fg - leagueFgForMix(stats.zones, baseline);
+                return `
+                <tr class="leader-row${selected.has(player) ? ' selected' : ''}" data-player="${escapeHtml(player)}">
+                    <td class="text-secondary">${rank}</td>
+                    <td>${escapeHtml(player)}</td>
+                    <td><strong>${metric.format(value)}</strong></td>
+                    <td>${fmtInt(stats.fga)}</td>
+                    <td>${fmtInt(stats.fgm)}</td>
+                    <td>${fmtPct(fg)}</td>
+                    <td class="${diff >= 0 ? 'fg-positive' : 'fg-negative'}">${fmtPctDiff(diff)}</td>
+                </tr>`;
+            }).join('')}
+            </tbody>
+        </table>
+    `;
+    container.querySelectorAll('.leader-row').forEach(row => {
+        row.addEventListener('click', () => setSelectFilter('player', [row.dataset.player]));
+    });
+}
+
+// ============================================
+// Side Balance (left vs. right)
+// ============================================
+// Left is positive x: the side the dataset's "Left Corner 3" sits on.
+// Shots within SIDE_CENTER_FT of the center line count for neither side.
+const SIDE_CENTER_FT = 1;
+const SIDE_COURT_W = 150;
+const SIDE_COURT_FT = 30;
+
+// |z| thresholds for two-sided p < 0.05 and p < 0.01
+const Z_05 = 1.96;
+const Z_01 = 2.576;
+
+let showSideCourts = false;
+
+const shotSide = (d) => d._x > SIDE_CENTER_FT ? 'L' : d._x < -SIDE_CENTER_FT ? 'R' : null;
+
+const significanceMark = (z) => Math.abs(z) >= Z_01 ? '**' : Math.abs(z) >= Z_05 ? '*' : '';
+
+// z for "attempts split evenly" and for "same FG% on both sides"
+function sideTests(left, right) {
+    const n = left.fga + right.fga;
+    const shareZ = n ? (left.fga - right.fga) / Math.sqrt(n) : 0;
+
+    let fgZ = 0;
+    if (left.fga && right.fga) {
+        const pooled = (left.fgm + right.fgm) / n;
+        const se = Math.sqrt(pooled * (1 - pooled) * (1 / left.fga + 1 / right.fga));
+        fgZ = se ? (left.fgm / left.fga - right.fgm / right.fga) / se : 0;
+    }
+    return { shareZ, fgZ };
+}
+
+function updateSideBalance() {
+    // Overall and non-corner zones split by x; the corners by their zone names
+    const rows = [{ label: 'All shots', zone: null }]
+        .concat(ZONE_ORDER.filter(z => !z.endsWith('Corner 3')).map(zone => ({ label: ZONE_SHORT_NAMES[zone], zone })));
+    rows.forEach(row => {
+        row.L = emptyTally();
+        row.R = emptyTally();
+    });
+    const corners = { label: 'Corner 3 (zones)', L: emptyTally(), R: emptyTally() };
+    const byZone = new Map(rows.filter(r => r.zone).map(r => [r.zone, r]));
+
+    groups.sides.all().forEach(({ key: side, value: zones }) => {
+        if (!side) return;
+        Object.entries(zones).forEach(([zone, t]) => {
+            addTallies(rows[0][side], t);
+            const row = byZone.get(zone);
+            if (row) addTallies(row[side], t);
+        });
+    });
+    filteredCells().forEach(c => {
+        if (c.zone === 'Left Corner 3') addTallies(corners.L, c);
+        else if (c.zone === 'Right Corner 3') addTallies(corners.R, c);
+    });
+    rows.push(corners);
+
+    const fgCell = (t) => t.fga ? fmtPct(t.fgm / t.fga) : '–';
+    const mark = (z, what) => {
+        const m = significanceMark(z);
+        return m ? ` <span class="sig-mark" title="${what}: z = ${z.toFixed(2)}">${m}</span>` : '';
+    };
+
+    document.getElementById('sideBalance').innerHTML = `
+        <table class="table table-sm compare-table mb-0">
+            <thead><tr>
+                <th>Zone</th><th>FGA L / R</th><th>Left share</th><th>FG% L</th><th>FG% R</th><th>Diff</th>
+            </tr></thead>
+            <tbody>${rows.map(({ label, L, R }) => {
+                const n = L.fga + R.fga;
+                if (n === 0) return `<tr><td>${label}</td><td colspan="5" class="text-secondary">No attempts</td></tr>`;
+                const { shareZ, fgZ } = sideTests(L, R);
+                const diff = L.fga && R.fga ? L.fgm / L.fga - R.fgm / R.fga : null;
+                return `
+                <tr>
+                    <td>${label}</td>
+                    <td>${fmtInt(L.fga)} / ${fmtInt(R.fga)}</td>
+                    <td>${fmtPct(L.fga / n)}${mark(shareZ, 'Attempt split')}</td>
+                    <td>${fgCell(L)}</td>
+                    <td>${fgCell(R)}</td>
+                    <td>${diff === null ? '–' : fmtPctDiff(diff)}${diff === null ? '' : mark(fgZ, 'FG% difference')}</td>
+                </tr>`;
+            }).join('')}
+            </tbody>
+        </table>
+    `;
+
+    document.getElementById('sideCourts').classList.toggle('d-none', !showSideCourts);
+    if (showSideCourts) drawSideCourts(filteredRows());
+}
+
+// Both halves drawn sideline-to-center: the right half's x domain runs the
+// other way, which mirrors it onto the left half's shape.
+function drawSideCourts(data) {
+    const halves = [
+        ['sideCourtLeft', 'L', [25, 0]],
+        ['sideCourtRight', 'R', [-25, 0]]
+    ];
+    halves.forEach(([id, side, xDomain]) => {
+        const canvas = document.getElementById(id);
+        canvas.width = SIDE_COURT_W;
+        canvas.height = Math.round(SIDE_COURT_W * SIDE_COURT_FT / 25);
+        drawMiniCourt(canvas, data.filter(d => shotSide(d) === side), { xDomain, maxFt: SIDE_COURT_FT });
+    });
+}
+
+// ============================================
+// Team Context
+// ============================================
+// League-wide team splits for the selected season, ignoring the other
+// filters, so a team selection can be read against the other 29.
+const TEAM_METRICS = [
+    { key: 'threePAR', label: '3PA rate' },
+    { key: 'rimFreq', label: 'Rim freq.' },
+    { key: 'midFreq', label: 'Mid-range freq.' },
+    // Allowing a low eFG% ranks first on defense
+    { key: 'efg', label: 'eFG%', defenseAscending: true }
+];
+
+let teamView = 'offense';    // 'offense' (team's shots) or 'defense' (shots against it)
+const teamContextCache = new Map();
+
+// Defense needs opponents, which only rows whose HOME_TEAM/AWAY_TEAM name
+// the shooter's team have
+const hasGameTeams = (seasons) => seasonEntries(seasons).some(e => [...e.options.opponents].some(Boolean));
+const fmtRank = (n) => {
+    const tens = n % 100;
+    const suffix = tens >= 11 && tens <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+    return `${n}${suffix}`;
+};
+
+const teamAbbr = (team) => TEAM_ABBR[team] || team;
+
+// Per-team rates for one season (or all) and view, with league ranks
+function getTeamContext(seasons, view) {
+    const key = `${seasons.join('-')}|${view}`;
+    if (teamContextCache.has(key)) return teamContextCache.get(key);
+
+    const rows = getSeasonData({ seasons });
+    const tallies = new Map();
+    const tallyFor = (team) => {
+        if (!tallies.has(team)) tallies.set(team, { fga: 0, fgm: 0, threes: 0, threesMade: 0, rim: 0, mid: 0 });
+        return tallies.get(team);
+    };
+
+    // Defense credits each shot to its opponent (_opp). Abbreviations are
+    // looked up per season, as relocated teams reuse them.
+    const bySeasonAbbr = new Map();
+    if (view === 'defense') {
+        rows.forEach(d => {
+            if (d._home !== null) bySeasonAbbr.set(`${d.SEASON_1}|${d._home ? d.HOME_TEAM : d.AWAY_TEAM}`, d._team);
+        });
+    }
+
+    rows.forEach(d => {
+        const team = view === 'defense' ? bySeasonAbbr.get(`${d.SEASON_1}|${d._opp}`) : d._team;
+        if (!team) return;
+        const t = tallyFor(team);
+        t.fga += 1;
+        t.fgm += d._made ? 1 : 0;
+        if (d._three) {
+            t.threes += 1;
+            t.threesMade += d._made ? 1 : 0;
+        }
+        if (d._zone === 'Restricted Area') t.rim += 1;
+        else if (d._zone === 'Mid-Range') t.mid += 1;
+    });
+
+    const teams = [...tallies].filter(([, t]) => t.fga > 0).map(([team, t]) => ({
+        team,
+        abbr: teamAbbr(team),
+        fga: t.fga,
+        threePAR: t.threes / t.fga,
+        rimFreq: t.rim / t.fga,
+        midFreq: t.mid / t.fga,
+        efg: (t.fgm + 0.5 * t.threesMade) / t.fga,
+        ranks: {}
+    }));
+
+    TEAM_METRICS.forEach(({ key: metric, defenseAscending }) => {
+        const ascending = view === 'defense' && defenseAscending;
+        teams.slice()
+            .sort((a, b) => ascending ? a[metric] - b[metric] : b[metric] - a[metric])
+            .forEach((t, i) => { t.ranks[metric] = i + 1; });
+    });
+
+    const context = { teams, league: Object.fromEntries(TEAM_METRICS.map(({ key: m }) => [m, d3.mean(teams, t => t[m])])) };
+    teamContextCache.set(key, context);
+    return context;
+}
+
+function updateTeamContext() {
+    const defenseInput = document.getElementById('team-defense');
+    defenseInput.disabled = !hasGameTeams(currentFilters.seasons);
+    if (defenseInput.disabled && teamView === 'defense') {
+        teamView = 'offense';
+        document.getElementById('team-offense').checked = true;
+    }
+
+    const context = getTeamContext(currentFilters.seasons, teamView);
+    const selected = new Set(currentFilters.teams);
+    const seasonLabel = isAllSeasons(currentFilters.seasons) ? 'all seasons' : fmtSeasons(currentFilters.seasons);
+    document.getElementById('teamContextNote').textContent =
+        `${context.teams.length} teams, ${seasonLabel}, ${teamView === 'defense' ? 'opponent shots' : 'own shots'}; other filters ignored.`;
+
+    renderTeamRanks(context, selected);
+    renderTeamScatter(context, selected);
+}
+
+function renderTeamRanks(context, selected) {
+    const container = document.getElementById('teamRanks');
+    const rows = context.teams.filter(t => selected.has(t.team));
+    if (rows.length === 0) {
+        container.innerHTML = '<div class="text-secondary small">Select a team to see where it ranks.</div>';
+        return;
+    }
+
+    const n = context.teams.length;
+    container.innerHTML = `
+        <table class="table table-sm compare-table mb-0">
+            <thead><tr><th>Team</th>${TEAM_METRICS.map(m => `<th>${m.label}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(t => `
+                <tr>
+                    <td title="${t.team}">${t.abbr}</td>
+                    ${TEAM_METRICS.map(({ key }) => `
+                        <td>${fmtPct(t[key])} <span class="team-rank${t.ranks[key] <= 5 ? ' top' : t.ranks[key] > n - 5 ? ' bottom' : ''}">${fmtRank(t.ranks[key])}</span></td>
+                    `).join('')}
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// 3PA rate vs. eFG% for every team; click a dot to filter to that team
+function renderTeamScatter(context, selected) {
+    const container = document.getElementById('teamScatter');
+    const width = container.clientWidth || 600;
+    const height = 240;
+    const margin = { top: 10, right: 14, bottom: 30, left: 44 };
+
+    const x = d3.scaleLinear()
+        .domain(d3.extent(context.teams, t => t.threePAR))
+        .nice()
+        .range([margin.left, width - margin.right]);
+    const y = d3.scaleLinear()
+        .domain(d3.extent(context.teams, t => t.efg))
+        .nice()
+        .range([height - margin.bottom, margin.top]);
+
+    container.innerHTML = '';
+    if (context.teams.length === 0) return;
+
+    const svg = d3.select(container)
+        .append('svg')
+        .attr('width', width)
+        .attr('height', height);
+
+    svg.append('g')
+        .attr('class', 'trend-axis')
+        .attr('transform', `translate(0, ${height - margin.bottom})`)
+        .call(d3.axisBottom(x).ticks(6).tickFormat(d3.format('.0%')));
+    svg.append('g')
+        .attr('class', 'trend-axis')
+        .attr('transform', `translate(${margin.left}, 0)`)
+        .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('.0%')));
+    svg.append('text')
+        .attr('class', 'scatter-axis-label')
+        .attr('x', width - margin.right)
+        .attr('y', height - 2)
+        .attr('text-anchor', 'end')
+        .text('3PA rate');
+    svg.append('text')
+        .attr('class', 'scatter-axis-label')
+        .attr('x', margin.left + 4)
+        .attr('y', margin.top + 8)
+        .text(teamView === 'defense' ? 'eFG% allowed' : 'eFG%');
+
+    // League averages
+    svg.append('line')
+        .attr('class', 'scatter-mean')
+        .attr('x1', x(context.league.threePAR)).attr('x2', x(context.league.threePAR))
+        .attr('y1', margin.top).attr('y2', height - margin.bottom);
+    svg.append('line')
+        .attr('class', 'scatter-mean')
+        .attr('x1', margin.left).attr('x2', width - margin.right)
+        .attr('y1', y(context.league.efg)).attr('y2', y(context.league.efg));
+
+    // Selected teams last so they draw on top
+    const teams = context.teams.slice().sort((a, b) => selected.has(a.team) - selected.has(b.team));
+    const dots = svg.append('g')
+        .selectAll('g')
+        .data(teams)
+        .join('g')
+        .attr('class', t => `team-dot${selected.has(t.team) ? ' selected' : ''}`)
+        .attr('transform', t => `translate(${x(t.threePAR)}, ${y(t.efg)})`)
+        .on('click', (event, t) => {
+            const isCtrlOrCmd = event.ctrlKey || event.metaKey;
+            const teamsSelected = isCtrlOrCmd
+                ? (selected.has(t.team) ? currentFilters.teams.filter(v => v !== t.team) : [...currentFilters.teams, t.team])
+                : [t.team];
+            setSelectFilter('team', teamsSelected);
+        });
+
+    dots.append('circle').attr('r', t => selected.has(t.team) ? 6 : 4.5);
+    dots.append('text')
+        .attr('x', 7)
+        .attr('y', 3)
+        .text(t => t.abbr);
+    dots.append('title')
+        .text(t => `${t.team}: 3PA rate ${fmtPct(t.threePAR)} (${fmtRank(t.ranks.threePAR)}), eFG% ${fmtPct(t.efg)} (${fmtRank(t.ranks.efg)})`);
+}
+
+// ============================================
+// Zone Trends by Season
+// ============================================
+const SEASONS = d3.range(FIRST_SEASON, LAST_SEASON + 1);
+const zoneColor = d3.scaleOrdinal(ZONE_ORDER, d3.schemeTableau10);
+
+function updateTrendChart() {
+    const container = document.getElementById('trendChart');
+    const width = container.clientWidth || 600;
+    const height = 220;
+    const margin = { top: 10, right: 12, bottom: 24, left: 40 };
+
+    // Season -> per-zone frequency or FG%, under every filter except season
+    const bySeason = new Map(groups.seasonZones.all().map(g => [+g.key, g.value]));
+    const series = ZONE_ORDER.map(zone => ({
+        zone,
+        values: SEASONS.map(season => {
+            const v = bySeason.get(season);
+            const z = v && v.zones[zone];
+            let value = null;
+            if (z && z.fga > 0) value = trendMetric === 'fg' ? z.fgm / z.fga : z.fga / v.total;
+            return { season, value, fga: z ? z.fga : 0 };
+        })
+    }));
+
+    const x = d3.scalePoint()
+        .domain(SEASONS)
+        .range([margin.left, width - margin.right])
+        .padding(0.3);
+
+    const maxValue = d3.max(series, s => d3.max(s.values, v => v.value)) || 0.1;
+    const y = d3.scaleLinear()
+        .domain([0, maxValue * 1.1])
+        .nice()
+        .range([height - margin.bottom, margin.top]);
+
+    container.innerHTML = '';
+    const svg = d3.select(container)
+        .append('svg')
+        .attr('width', width)
+        .attr('height', height);
+
+    svg.append('g')
+        .attr('class', 'trend-axis')
+        .attr('transform', `translate(0, ${height - margin.bottom})`)
+        .call(d3.axisBottom(x).tickValues(SEASONS.filter(s => s % 2 === 0)).tickFormat(d3.format('d')));
+
+    svg.append('g')
+        .attr('class', 'trend-axis')
+        .attr('transform', `translate(${margin.left}, 0)`)
+        .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('.0%')));
+
+    // Marker for the selected season, or a band over the selected range
+    const [from, to] = currentFilters.seasons;
+    if (from === to) {
+        svg.append('line')
+            .attr('class', 'trend-current')
+            .attr('x1', x(from))
+            .attr('x2', x(from))
+            .attr('y1', margin.top)
+            .attr('y2', height - margin.bottom);
+    } else if (!isAllSeasons(currentFilters.seasons)) {
+        const pad = x.step() / 2;
+        svg.append('rect')
+            .attr('class', 'trend-range')
+            .attr('x', x(from) - pad)
+            .attr('width', x(to) - x(from) + 2 * pad)
+            .attr('y', margin.top)
+            .attr('height', height - margin.top - margin.bottom);
+    }
+
+    const line = d3.line()
+        .defined(v => v.value !== null)
+        .x(v => x(v.season))
+        .y(v => y(v.value));
+
+    const zoneGroups = svg.append('g')
+        .selectAll('g')
+        .data(series)
+        .join('g')
+        .attr('class', 'trend-series')
+        .attr('data-zone', s => s.zone)
+        .on('mouseover', (event, s) => highlightTrendZone(s.zone))
+        .on('mouseout', () => highlightTrendZone(null));
+
+    zoneGroups.append('path')
+        .attr('class', 'trend-line')
+        .attr('stroke', s => zoneColor(s.zone))
+        .attr('d', s => line(s.values));
+
+    // Wide invisible stroke makes thin lines easy to hover
+    zoneGroups.append('path')
+        .attr('class', 'trend-hit')
+        .attr('d', s => line(s.values));
+
+    zoneGroups.selectAll('circle')
+        .data(s => s.values.filter(v => v.value !== null).map(v => ({ ...v, zone: s.zone })))
+        .join('circle')
+        .attr('class', 'trend-point')
+        .attr('cx', v => x(v.season))
+        .attr('cy', v => y(v.value))
+        .attr('r', 3)
+        .attr('fill', v => zoneColor(v.zone))
+        .on('click', (event, v) => {
+            stopPlayback();
+            setSeasonRange([v.season, v.season]);
+        })
+        .append('title')
+        .text(v => `${v.zone}, ${v.season}: ${fmtPct(v.value)} (${fmtInt(v.fga)} attempts)`);
+
+    // Legend doubles as a hover target
+    const legend = document.getElementById('trendLegend');
+    legend.innerHTML = ZONE_ORDER.map(zone => `
+        <span class="trend-legend-item" data-zone="${zone}">
+            <span class="legend-dot" style="background-color: ${zoneColor(zone)}"></span>${ZONE_SHORT_NAMES[zone]}
+        </span>
+    `).join('');
+    legend.querySelectorAll('.trend-legend-item').forEach(item => {
+        item.addEventListener('mouseover', () => highlightTrendZone(item.dataset.zone));
+        item.addEventListener('mouseout', () => highlightTrendZone(null));
+    });
+}
+
+// Emphasize one zone's line and its shape on the court
+function highlightTrendZone(zoneName) {
+    d3.selectAll('#trendChart .trend-series')
+        .classed('dimmed', function() { return zoneName !== null && this.getAttribute('data-zone') !== zoneName; });
+    highlightCourtZone(zoneName);
+}
+
+// ============================================
+// Filter Summary
+// ============================================
+// [label, value] pairs describing the active filters; shared by the summary
+// panel and exported titles
+function getFilterSummaryPieces(filters = currentFilters) {
+    const pieces = [];
+
+    if (!isAllSeasons(filters.seasons)) {
+        pieces.push([singleSeason(filters.seasons) ? 'Season' : 'Seasons', fmtSeasons(filters.seasons)]);
+    }
+    if (filters.teams.length > 0) {
+        pieces.push(['Team', filters.teams.join(', ')]);
+    }
+    if (filters.players.length > 0) {
+        pieces.push(['Player', filters.players.join(', ')]);
+    }
+    if (filters.positions.length > 0) {
+        const posLabels = filters.positions.map(p => POSITION_LABELS[p] || p);
+        pieces.push(['Position', posLabels.join(', ')]);
+    }
+    if (filters.zones.length > 0) {
+        pieces.push(['Zone', filters.zones.join(', ')]);
+    }
+    if (filters.subZones.length > 0) {
+        pieces.push(['Detailed zone', filters.subZones.map(subZoneLabel).join(', ')]);
+    }
+    if (filters.regions.length > 0) {
+        pieces.push(['Region', filters.regions.map(regionName).join(', ')]);
+    }
+    if (filters.opponents.length > 0) {
+        pieces.push(['Opponent', filters.opponents.join(', ')]);
+    }
+    if (filters.venue !== 'all') {
+        pieces.push(['Venue', filters.venue === 'home' ? 'Home games' : 'Away games']);
+    }
+    if (filters.dates) {
+        pieces.push(['Game dates', fmtDateRange(filters.dates)]);
+    }
+    if (filters.actions.length > 0) {
+        pieces.push(['Action', filters.actions.join(', ')]);
+    }
+    if (filters.shotType !== 'all') {
+        pieces.push(['Shot type', filters.shotType]);
+    }
+    if (filters.shotResult !== 'all') {
+        pieces.push(['Result', filters.shotResult === 'made' ? 'Made' : 'Missed']);
+    }
+    if (isClutch(filters)) {
+        pieces.push(['Clock', `Clutch (last ${fmtClock(CONFIG.CLUTCH_SECS)} of Q4/OT)`]);
+    } else {
+        if (filters.quarters.length > 0) {
+            const qtrLabels = filters.quarters.map(q => q === 5 ? 'OT' : `Q${q}`);
+            pieces.push(['Quarter', qtrLabels.join(', ')]);
+        }
+        if (filters.timeLeft) {
+            const [minSecs, maxSecs] = filters.timeLeft;
+            pieces.push(['Time left', `${fmtClock(maxSecs)} – ${fmtClock(minSecs)}`]);
+        }
+    }
+    if (filters.distance) {
+        pieces.push(['Distance', fmtDistance(filters.distance)]);
+    }
+
+    return pieces;
+}
+
+function renderFilterSummary() {
+    const pieces = getFilterSummaryPieces().map(([label, value]) => `<strong>${label}:</strong> ${escapeHtml(value)}`);
+
+    const summaryEl = document.getElementById('filterSummary');
+    const sidePrefix = compareMode
+        ? `<span class="compare-side-badge side-${activeSide.toLowerCase()}">${activeSide}</span> `
+        : '';
+    if (pieces.length === 0) {
+        summaryEl.innerHTML = sidePrefix + 'None (all values included).';
+    } else {
+        summaryEl.innerHTML = sidePrefix + pieces.join('<br>');
+    }
+}
+
+// ============================================
+// Game Filters (venue, dates)
+// ============================================
+const fmtDateRange = ([from, to]) => `${from || '…'} – ${to || '…'}`;
+
+function syncDateInputs() {
+    const [from, to] = currentFilters.dates || ['', ''];
+    document.getElementById('dateFrom').value = from;
+    document.getElementById('dateTo').value = to;
+}
+
+// ============================================
+// Game Clock Controls
+// ============================================
+function setupTimeBrush() {
+    const container = document.getElementById('timeBrush');
+    const width = container.clientWidth || 260;
+    const height = 34;
+    const margin = { left: 10, right: 10 };
+
+    // Time runs out left to right: 12:00 on the left, 0:00 on the right
+    const x = d3.scaleLinear()
+        .domain([CONFIG.PERIOD_SECS, 0])
+        .range([margin.left, width - margin.right]);
+
+    container.innerHTML = '';
+    const svg = d3.select(container)
+        .append('svg')
+        .attr('width', width)
+        .attr('height', height);
+
+    svg.append('rect')
+        .attr('class', 'track')
+        .attr('x', margin.left)
+        .attr('y', 2)
+        .attr('width', width - margin.left - margin.right)
+        .attr('height', 14)
+        .attr('rx', 3);
+
+    svg.append('g')
+        .attr('transform', 'translate(0, 16)')
+        .call(d3.axisBottom(x).tickValues(d3.range(CONFIG.PERIOD_SECS, -1, -120)).tickFormat(fmtClock).tickSize(3));
+
+    const brush = d3.brushX()
+        .extent([[margin.left, 2], [width - margin.right, 16]])
+        .on('end', (event) => {
+            // Ignore programmatic moves (presets, reset)
+            if (!event.sourceEvent) return;
+            if (!event.selection) {
+                currentFilters.timeLeft = null;
+            } else {
+                const [x0, x1] = event.selection.map(x.invert);
+                currentFilters.timeLeft = [Math.max(0, Math.round(x1)), Math.min(CONFIG.PERIOD_SECS, Math.round(x0))];
+            }
+            updateTimeLeftLabel();
+            updateVisualization();
+        });
+
+    const brushG = svg.append('g').call(brush);
+
+    timeBrush = { x, brush, brushG };
+    syncTimeBrush();
+}
+
+// Move the brush to match currentFilters.timeLeft without triggering a filter update
+function syncTimeBrush() {
+    if (timeBrush) {
+        const range = currentFilters.timeLeft;
+        timeBrush.brushG.call(timeBrush.brush.move, range ? [timeBrush.x(range[1]), timeBrush.x(range[0])] : null);
+    }
+    updateTimeLeftLabel();
+}
+
+function updateTimeLeftLabel() {
+    const [minSecs, maxSecs] = currentFilters.timeLeft || [0, CONFIG.PERIOD_SECS];
+    document.getElementById('timeLeftLabel').textContent = `${fmtClock(maxSecs)} – ${fmtClock(minSecs)}`;
+}
+
+function syncQuarterControls() {
+    document.getElementById('qtr-all').checked = currentFilters.quarters.length === 0;
+    document.querySelectorAll('#quarterFilter input:not([value="all"])').forEach(i => {
+        i.checked = currentFilters.quarters.includes(parseInt(i.value));
+    });
+}
+
+function isClutch(filters = currentFilters) {
+    const { quarters, timeLeft } = filters;
+    return quarters.length === 2 && quarters.includes(4) && quarters.includes(5) &&
+        !!timeLeft && timeLeft[0] === 0 && timeLeft[1] === CONFIG.CLUTCH_SECS;
+}
+
+function applyClutchPreset() {
+    currentFilters.quarters = [4, 5];
+    currentFilters.timeLeft = [0, CONFIG.CLUTCH_SECS];
+    syncQuarterControls();
+    syncTimeBrush();
+    updateVisualization();
+}
+
+function clearGameClock() {
+    currentFilters.quarters = [];
+    currentFilters.timeLeft = null;
+    syncQuarterControls();
+    syncTimeBrush();
+}
+
+// ============================================
+// Filter Application
+// ============================================
+// Each dimension's filter for a filter set, as [key, apply(dimension)].
+// Dimensions left out are unfiltered. The key identifies the filter value.
+function dimensionFilters(filters) {
+    const wanted = {};
+    const keyOf = (value) => JSON.stringify(value);
+
+    // Season range (skip if it spans every season)
+    if (!isAllSeasons(filters.seasons)) {
+        wanted.season = [keyOf(filters.seasons), dim => dim.filterRange([filters.seasons[0], filters.seasons[1] + 1])];
+    }
+
+    // Team filter
+    if (filters.teams.length > 0) {
+        const teamSet = new Set(filters.teams);
+        wanted.team = [keyOf(filters.teams), dim => dim.filterFunction(d => teamSet.has(d))];
+    }
+
+    // Position filter (checkbox-based: G, F, C)
+    if (filters.positions.length > 0) {
+        const positions = filters.positions.slice();
+        wanted.position = [keyOf(positions), dim => dim.filterFunction(d => {
+            const pos = (d || '').toUpperCase();
+            return positions.some(p => {
+                if (p === 'G') return pos.includes('G');
+                if (p === 'F') return pos.includes('F');
+                if (p === 'C') return pos === 'C' || pos.includes('CENTER');
+                return true;
+            });
+        })];
+    }
+
+    // Shot result filter
+    if (filters.shotResult !== 'all') {
+        const made = filters.shotResult === 'made';
+        wanted.shotMade = [keyOf(made), dim => dim.filter(made)];
+    }
+
+    // Shot type filter (2PT / 3PT)
+    if (filters.shotType !== 'all') {
+        const wantThree = filters.shotType === '3PT';
+        wanted.shotType = [keyOf(wantThree), dim => dim.filterFunction(d => (d || '').includes('3PT') === wantThree)];
+    }
+
+    // Action type filter
+    if (filters.actions.length > 0) {
+        const actionSet = new Set(filters.actions);
+        wanted.action = [keyOf(filters.actions), dim => dim.filterFunction(d => actionSet.has(d))];
+    }
+
+    // Opponent filter
+    if (filters.opponents.length > 0) {
+        const opponentSet = new Set(filters.opponents);
+        wanted.opponent = [keyOf(filters.opponents), dim => dim.filterFunction(d => opponentSet.has(d))];
+    }
+
+    // Home/away filter
+    if (filters.venue !== 'all') {
+        const venue = filters.venue;
+        wanted.venue = [keyOf(venue), dim => dim.filter(venue)];
+    }
+
+    // Game date range (ISO strings compare in date order)
+    if (filters.dates) {
+        const [from, to] = filters.dates;
+        wanted.date = [keyOf(filters.dates), dim => dim.filterFunction(d => d !== '' && (!from || d >= from) && (!to || d <= to))];
+    }
+
+    // Player filter
+    if (filters.players.length > 0) {
+        const playerSet = new Set(filters.players);
+        wanted.player = [keyOf(filters.players), dim => dim.filterFunction(d => playerSet.has(d))];
+    }
+
+    // Zone filter
+    if (filters.zones.length > 0) {
+        const zoneSet = new Set(filters.zones);
+        wanted.zone = [keyOf(filters.zones), dim => dim.filterFunction(d => zoneSet.has(d))];
+    }
+
+    // Detailed zone filter
+    if (filters.subZones.length > 0) {
+        const subZoneSet = new Set(filters.subZones);
+        wanted.subZone = [keyOf(filters.subZones), dim => dim.filterFunction(d => subZoneSet.has(d))];
+    }
+
+    // Custom regions (a shot passes if any of its regions is selected)
+    if (filters.regions.length > 0) {
+        const regionSet = new Set(filters.regions);
+        wanted.region = [keyOf(filters.regions), dim => dim.filterFunction(id => regionSet.has(id))];
+    }
+
+    // Quarter filter (5 covers every overtime period)
+    if (filters.quarters.length > 0) {
+        const quarterSet = new Set(filters.quarters);
+        wanted.quarter = [keyOf(filters.quarters), dim => dim.filterFunction(d => quarterSet.has(d))];
+    }
+
+    // Time remaining in the period (inclusive range in seconds)
+    if (filters.timeLeft) {
+        const [minSecs, maxSecs] = filters.timeLeft;
+        wanted.timeLeft = [keyOf(filters.timeLeft), dim => dim.filterRange([minSecs, maxSecs + 1])];
+    }
+
+    // Shot distance (whole-foot bins, inclusive; the top bin is open-ended)
+    if (filters.distance) {
+        const [minFt, maxFt] = filters.distance;
+        wanted.distance = [keyOf(filters.distance), dim => dim.filterRange([minFt, maxFt >= DIST_HIST_MAX_FT ? Infinity : maxFt + 1])];
+    }
+
+    return wanted;
+}
+
+// Brings crossfilter to `filters`, refiltering only the dimensions whose
+// filter changed, so a season step touches only the season dimension.
+// Returns the matching rows, or null with { rows: false } when the caller
+// only reads groups.
+function applyFilters(filters = currentFilters, { rows = true } = {}) {
+    const wanted = dimensionFilters(filters);
+    Object.entries(dimensions).forEach(([name, dim]) => {
+        const [key, apply] = wanted[name] || [null, null];
+        if (appliedFilters.get(name) === key) return;
+        if (apply) apply(dim);
+        else dim.filterAll();
+        appliedFilters.set(name, key);
+    });
+
+    return rows ? filteredRows() : null;
+}
+
+// ============================================
+// Cascading Filters
+// ============================================
+// Option lists come from each list's own group: the values that still have
+// shots under every other active filter. Group keys are already sorted.
+function updateCascadingFilters(changedFilter = null) {
+    const lists = [
+        ['team', groups.teams, n => n],
+        ['player', groups.players, t => t.fga],
+        ['zone', groups.zones, n => n],
+        ['opponent', groups.opponents, n => n],
+        ['action', groups.actions, t => t.fga]
+    ];
+
+    // Only update filters that don't have active selections
+    lists.forEach(([name, group, count]) => {
+        const selected = currentFilters[`${name}s`];
+        if (changedFilter === name || selected.length > 0) return;
+        const values = group.all().filter(g => g.key && count(g.value) > 0).map(g => g.key);
+        populateSelect(`${name}Filter`, values, selected);
+    });
+}
+
+// ============================================
+// Compare Mode
+// ============================================
+const cloneFilters = (filters) => JSON.parse(JSON.stringify(filters));
+
+// Short one-line label for a compare court, e.g. "2005 · LeBron James"
+function shortFilterLabel(filters) {
+    const parts = [isAllSeasons(filters.seasons) ? 'All seasons' : fmtSeasons(filters.seasons)];
+    const listLabel = (values) => values.length > 2 ? `${values[0]} +${values.length - 1}` : values.join(', ');
+    if (filters.players.length > 0) parts.push(listLabel(filters.players));
+    else if (filters.teams.length > 0) parts.push(listLabel(filters.teams));
+    if (filters.opponents.length > 0) parts.push(`vs ${listLabel(filters.opponents)}`);
+    if (filters.venue !== 'all') parts.push(filters.venue === 'home' ? 'Home' : 'Away');
+    if (filters.dates) parts.push(fmtDateRange(filters.dates));
+    if (filters.positions.length > 0) parts.push(filters.positions.join('/'));
+    if (filters.zones.length > 0) parts.push(listLabel(filters.zones));
+    if (filters.subZones.length > 0) parts.push(listLabel(filters.subZones.map(subZoneLabel)));
+    if (filters.regions.length > 0) parts.push(listLabel(filters.regions.map(regionName)));
+    if (filters.shotType !== 'all') parts.push(filters.shotType);
+    if (filters.actions.length > 0) parts.push(listLabel(filters.actions));
+    if (filters.distance) parts.push(fmtDistance(filters.distance));
+    return parts.join(' · ');
+}
+
+function drawCourts() {
+    const container = document.getElementById('court-container');
+    clearShotSelection();
+
+    if (!compareMode) {
+        compareCharts = {};
+        container.classList.remove('compare-layout');
+        mainChart = drawCourt(container);
+        return;
+    }
+
+    // One slot per side, plus the optional difference court
+    const slots = showDiffCourt ? ['A', 'B', 'diff'] : ['A', 'B'];
+    container.innerHTML = '';
+    container.classList.add('compare-layout');
+    mainChart = null;
+    compareCharts = {};
+
+    slots.forEach(slot => {
+        const slotEl = document.createElement('div');
+        slotEl.className = `compare-slot compare-slot-${slot.toLowerCase()}`;
+        slotEl.innerHTML = `
+            <div class="compare-label"></div>
+            <div class="compare-court"></div>
+        `;
+        container.appendChild(slotEl);
+
+        // Capture phase: switch sides before a zone click on this court is applied
+        if (slot !== 'diff') {
+            slotEl.addEventListener('click', () => setActiveSide(slot), true);
+        }
+
+        const chart = drawCourt(slotEl.querySelector('.compare-court'), { clickable: slot !== 'diff' });
+        chart.label = slotEl.querySelector('.compare-label');
+        chart.slotEl = slotEl;
+        compareCharts[slot] = chart;
+    });
+}
+
+function setCompareMode(enabled) {
+    stopPlayback();
+    compareMode = enabled;
+
+    if (enabled) {
+        activeSide = 'A';
+        filterStates = { A: currentFilters, B: cloneFilters(currentFilters) };
+    } else {
+        // Keep whichever side was being edited
+        currentFilters = filterStates[activeSide];
+        filterStates = { A: currentFilters, B: null };
+        activeSide = 'A';
+    }
+
+    syncCompareControls();
+    drawCourts();
+    syncFilterControls();
+    updateVisualization();
+}
+
+function syncCompareControls() {
+    document.getElementById('compareToggle').classList.toggle('active', compareMode);
+    document.getElementById('compareSidePicker').classList.toggle('d-none', !compareMode);
+    document.getElementById('comparePanel').classList.toggle('d-none', !compareMode);
+    document.getElementById(activeSide === 'A' ? 'side-a' : 'side-b').checked = true;
+    document.getElementById('diffCourtToggle').checked = showDiffCourt;
+}
+
+function setActiveSide(side) {
+    if (!compareMode || side === activeSide) return;
+
+    stopPlayback();
+    activeSide = side;
+    currentFilters = filterStates[side];
+    document.getElementById(side === 'A' ? 'side-a' : 'side-b').checked = true;
+
+    syncFilterControls();
+    updateVisualization();
+}
+
+// Bring every filter control in line with currentFilters (after switching
+// compare sides or restoring a saved state)
+function syncFilterControls() {
+    syncSeasonControls();
+
+    ['teamSearch', 'opponentSearch', 'playerSearch', 'zoneSearch', 'actionSearch'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    populateFilters();
+    ['teamFilter', 'opponentFilter', 'playerFilter', 'zoneFilter', 'actionFilter'].forEach(id => filterSelectOptions(id, ''));
+
+    document.getElementById('pos-all').checked = currentFilters.positions.length === 0;
+    document.querySelectorAll('#positionFilter input:not([value="all"])').forEach(i => {
+        i.checked = currentFilters.positions.includes(i.value);
+    });
+
+    document.getElementById(`shot-${currentFilters.shotResult}`).checked = true;
+    document.getElementById(`type-${currentFilters.shotType}`).checked = true;
+    document.getElementById(`venue-${currentFilters.venue}`).checked = true;
+    syncDateInputs();
+
+    syncQuarterControls();
+    syncTimeBrush();
+    syncDistanceBrush();
+}
+
+function updateComparison() {
+    const otherSide = activeSide === 'A' ? 'B' : 'A';
+    const sideData = {};
+    sideData[otherSide] = applyFilters(filterStates[otherSide]);
+    // Applied last so crossfilter (and the cascading lists) follow the side being edited
+    sideData[activeSide] = applyFilters(filterStates[activeSide]);
+
+    const dataA = sideData.A;
+    const dataB = sideData.B;
+    // Crossfilter holds the active side, so its cells are that side's
+    const cells = filteredCells();
+
+    ['A', 'B'].forEach(side => {
+        const chart = compareCharts[side];
+        if (!chart) return;
+        renderShots(sideData[side], chart, filterStates[side], side === activeSide ? cells : null);
+        chart.label.innerHTML = `<span class="compare-side-badge side-${side.toLowerCase()}">${side}</span> ${escapeHtml(shortFilterLabel(filterStates[side]))}`;
+        chart.slotEl.classList.toggle('active', side === activeSide);
+    });
+
+    if (compareCharts.diff) {
+        renderDifferenceCourt(dataA, dataB, compareCharts.diff);
+    }
+
+    updateKPIs(cells);
+    updateZoneBreakdown(cells);
+    updateRegionBreakdown();
+    updateActionBreakdown();
+    updateDistanceHistogram();
+    updateLeaderboard();
+    updateSideBalance();
+    updateTeamContext();
+    renderComparePanel(dataA, dataB);
+    renderFilterSummary();
+}
+
+// Per-zone attempts and makes
+function zoneTallies(data) {
+    const tallies = {};
+    ZONE_ORDER.forEach(zone => { tallies[zone] = { fga: 0, fgm: 0 }; });
+    data.forEach(d => {
+        const t = tallies[d._zone];
+        if (!t) return;
+        t.fga += 1;
+        t.fgm += d._made ? 1 : 0;
+    });
+    return tallies;
+}
+
+function renderComparePanel(dataA, dataB) {
+    const statsA = computeShotStats(dataA, filterStates.A);
+    const statsB = computeShotStats(dataB, filterStates.B);
+
+    const deltaCell = (diff, text) => `<td class="${diff > 0 ? 'fg-positive' : diff < 0 ? 'fg-negative' : ''}">${text}</td>`;
+    const pctRow = (label, a, b, fmt = fmtPct) => `
+        <tr><td>${label}</td><td>${fmt(a)}</td><td>${fmt(b)}</td>${deltaCell(a - b, fmtPctDiff(a - b))}</tr>`;
+
+    const kpiRows = [
+        `<tr><td>Shots</td><td>${fmtInt(statsA.totalShots)}</td><td>${fmtInt(statsB.totalShots)}</td><td></td></tr>`,
+        pctRow('FG%', statsA.fg, statsB.fg),
+        pctRow('3PA Rate', statsA.threePAR, statsB.threePAR),
+        pctRow('eFG%', statsA.efg, statsB.efg),
+        pctRow('FG% vs Exp.', statsA.fg - statsA.xFg, statsB.fg - statsB.xFg, fmtPctDiff),
+        `<tr><td>Pts/Shot</td><td>${statsA.pps.toFixed(2)}</td><td>${statsB.pps.toFixed(2)}</td>${deltaCell(statsA.pps - statsB.pps, fmtSigned(statsA.pps - statsB.pps, 2))}</tr>`
+    ].join('');
+
+    const zonesA = zoneTallies(dataA);
+    const zonesB = zoneTallies(dataB);
+    const zoneRows = ZONE_ORDER.map(zone => {
+        const a = zonesA[zone];
+        const b = zonesB[zone];
+        const fgA = a.fga ? a.fgm / a.fga : 0;
+        const fgB = b.fga ? b.fgm / b.fga : 0;
+        const freqA = statsA.totalShots ? a.fga / statsA.totalShots : 0;
+        const freqB = statsB.totalShots ? b.fga / statsB.totalShots : 0;
+        return `
+        <tr>
+            <td>${ZONE_SHORT_NAMES[zone]}</td>
+            <td>${fmtPct(fgA)}</td><td>${fmtPct(fgB)}</td>${deltaCell(fgA - fgB, fmtPctDiff(fgA - fgB))}
+            <td>${fmtPct(freqA)}</td><td>${fmtPct(freqB)}</td>${deltaCell(freqA - freqB, fmtPctDiff(freqA - freqB))}
+        </tr>`;
+    }).join('');
+
+    document.getElementById('compareKpis').innerHTML = `
+        <thead><tr><th></th><th class="side-a">A</th><th class="side-b">B</th><th>A − B</th></tr></thead>
+        <tbody>${kpiRows}</tbody>
+    `;
+    document.getElementById('compareZones').innerHTML = `
+        <thead>
+            <tr><th></th><th colspan="3">FG%</th><th colspan="3">Frequency</th></tr>
+            <tr><th>Zone</th><th class="side-a">A</th><th class="side-b">B</th><th>Δ</th><th class="side-a">A</th><th class="side-b">B</th><th>Δ</th></tr>
+        </thead>
+        <tbody>${zoneRows}</tbody>
+    `;
+}
+
+// Hex grid colored by which side takes a larger share of its shots there
+function renderDifferenceCourt(dataA, dataB, chart) {
+    const { ctx } = chart;
+    ctx.clearRect(0, 0, chart.chartWidth, chart.chartHeight);
+    chart.label.innerHTML = `Difference: <span class="side-a">more A</span> vs <span class="side-b">more B</span>`;
+    if (dataA.length === 0 && dataB.length === 0) return;
+
+    const hexbin = makeHexbin(chart);
+    const shares = new Map();
+    const addShares = (data, side) => {
+        hexbin(data).forEach(bin => {
+            const key = `${bin.x},${bin.y}`;
+            if (!shares.has(key)) shares.set(key, { x: bin.x, y: bin.y, A: 0, B: 0 });
+            shares.get(key)[side] = bin.length / data.length;
+        });
+    };
+    addShares(dataA, 'A');
+    addShares(dataB, 'B');
+
+    const cells = Array.from(shares.values(), c => ({ ...c, diff: c.A - c.B }));
+    const maxDiff = d3.max(cells, c => Math.abs(c.diff)) || 1;
+    const color = d3.scaleDiverging(d3.piecewise(d3.interpolateRgb, [CONFIG.SIDE_B_COLOR, '#f7f7f7', CONFIG.SIDE_A_COLOR]))
+        .domain([-maxDiff, 0, maxDiff]);
+    const r = hexbin.radius();
+
+    ctx.globalAlpha = 0.85;
+    cells.forEach(c => {
+        traceHexagon(ctx, c.x, c.y, r);
+        ctx.fillStyle = color(c.diff);
+        ctx.fill();
+    });
+}
+
+// ============================================
+// Shareable URL State
+// ============================================
+// Filters live in the query string: side A unprefixed, side B under "b.".
+// Multi-valued filters repeat their key (?team=A&team=B).
+let restoringUrlState = false;
+let lastUrlPush = 0;
+let urlWarnings = [];
+// Values a full-dataset link named before their seasons had loaded:
+// { filters, field, value, label }, checked by checkPendingUrlValues
+let pendingUrlValues = [];
+
+const URL_PUSH_COALESCE_MS = 500;
+
+function encodeFilters(filters, params, prefix = '') {
+    if (!isAllSeasons(filters.seasons)) {
+        const [from, to] = filters.seasons;
+        params.set(prefix + 'season', from === to ? from : `${from}-${to}`);
+    }
+    filters.teams.forEach(t => params.append(prefix + 'team', t));
+    filters.opponents.forEach(o => params.append(prefix + 'opp', o));
+    if (filters.venue !== 'all') params.set(prefix + 'venue', filters.venue);
+    if (filters.dates) {
+        if (filters.dates[0]) params.set(prefix + 'from', filters.dates[0]);
+        if (filters.dates[1]) params.set(prefix + 'to', filters.dates[1]);
+    }
+    filters.players.forEach(p => params.append(prefix + 'player', p));
+    filters.zones.forEach(z => params.append(prefix + 'zone', z));
+    filters.subZones.forEach(z => params.append(prefix + 'subzone', z));
+    filters.regions.forEach(id => params.append(prefix + 'region', regionName(id)));
+    filters.actions.forEach(a => params.append(prefix + 'action', a));
+    if (filters.positions.length > 0) params.set(prefix + 'pos', filters.positions.join(','));
+    if (filters.shotResult !== 'all') params.set(prefix + 'result', filters.shotResult);
+    if (filters.shotType !== 'all') params.set(prefix + 'type', filters.shotType);
+    if (filters.quarters.length > 0) params.set(prefix + 'qtr', filters.quarters.join(','));
+    if (filters.timeLeft) params.set(prefix + 'time', filters.timeLeft.join('-'));
+    if (filters.distance) params.set(prefix + 'dist', filters.distance.join('-'));
+}
+
+// 'YYYY' or 'YYYY-YYYY' -> [first, last], or null if out of range
+function parseSeasons(value) {
+    const match = /^(\d{4})(?:-(\d{4}))?$/.exec(value || '');
+    if (!match) return null;
+    const from = +match[1];
+    const to = match[2] ? +match[2] : from;
+    return from >= FIRST_SEASON && to <= LAST_SEASON && from <= to ? [from, to] : null;
+}
+
+// Parse one side's filters; values the dataset doesn't know are dropped
+// and reported in `warnings`. With a null known set, values are kept and
+// added to `pending` to be checked once their seasons load.
+function decodeFilters(params, prefix, known, warnings, pending) {
+    const filters = cloneFilters(DEFAULT_FILTERS);
+    const sideLabel = prefix ? ' (side B)' : '';
+
+    const seasons = parseSeasons(params.get(prefix + 'season'));
+    if (seasons) filters.seasons = seasons;
+
+    const keepKnown = (key, label, knownSet, field = null) => params.getAll(prefix + key).filter(v => {
+        if (!knownSet) {
+            pending.push({ filters, field, value: v, label: `${label} "${v}"${sideLabel}` });
+            return true;
+        }
+        if (knownSet.has(v)) return true;
+        warnings.push(`${label} "${v}"${sideLabel}`);
+        return false;
+    });
+    filters.teams = keepKnown('team', 'Team', known.teams, 'teams');
+    filters.players = keepKnown('player', 'Player', known.players, 'players');
+    filters.zones = keepKnown('zone', 'Zone', known.zones);
+    filters.subZones = keepKnown('subzone', 'Detailed zone', new Set(DETAIL_ZONES.map(z => z.key)));
+    // Regions are saved per browser, so a shared link may name unknown ones
+    const regionIds = keepKnown('region', 'Region', known.regions).map(name => customRegions.find(r => r.name === name).id);
+    filters.regions = [...new Set(regionIds)];
+    filters.actions = keepKnown('action', 'Action type', known.actions, 'actions');
+    filters.opponents = keepKnown('opp', 'Opponent', known.opponents, 'opponents');
+
+    const venue = params.get(prefix + 'venue');
+    if (venue === 'home' || venue === 'away') filters.venue = venue;
+
+    const isoDate = (key) => {
+        const v = params.get(prefix + key) || '';
+        return /^\d{4}-\d{2}-\d{2}$/.test(v) ? v : '';
+    };
+    const dates = [isoDate('from'), isoDate('to')];
+    if ((dates[0] || dates[1]) && !(dates[0] && dates[1] && dates[0] > dates[1])) filters.dates = dates;
+
+    const list = (key) => (params.get(prefix + key) || '').split(',').filter(Boolean);
+    filters.positions = list('pos').filter(p => ['G', 'F', 'C'].includes(p));
+    filters.quarters = list('qtr').map(Number).filter(q => q >= 1 && q <= 5);
+
+    const result = params.get(prefix + 'result');
+    if (result === 'made' || result === 'missed') filters.shotResult = result;
+
+    const type = params.get(prefix + 'type');
+    if (type === '2PT' || type === '3PT') filters.shotType = type;
+
+    const time = (params.get(prefix + 'time') || '').split('-').map(Number);
+    if (time.length === 2 && time.every(t => Number.isInteger(t) && t >= 0 && t <= CONFIG.PERIOD_SECS) && time[0] <= time[1]) {
+        filters.timeLeft = time;
+    }
+
+    const dist = (params.get(prefix + 'dist') || '').split('-').map(Number);
+    if (dist.length === 2 && dist.every(ft => Number.isInteger(ft) && ft >= 0 && ft <= DIST_HIST_MAX_FT) && dist[0] <= dist[1]) {
+        filters.distance = dist;
+    }
+
+    return filters;
+}
+
+function buildUrlQuery() {
+    const params = new URLSearchParams();
+    encodeFilters(filterStates.A, params);
+    if (compareMode) {
+        params.set('compare', activeSide);
+        if (showDiffCourt) params.set('diff', '1');
+        encodeFilters(filterStates.B, params, 'b.');
+    }
+    if (renderMode !== 'scatter') params.set('mode', renderMode);
+    if (zoneMode !== 'basic') params.set('zones', zoneMode);
+    if (zoneFill !== 'none') params.set('fill', zoneFill);
+    if (datasetMode === 'full') params.set('data', 'full');
+    if (CONFIG.AUTOPLAY_DELAY_MS !== DEFAULT_AUTOPLAY_DELAY_MS) params.set('speed', CONFIG.AUTOPLAY_DELAY_MS);
+    if (!smoothTransitions) params.set('smooth', '0');
+    if (trailLength > 0) params.set('trail', trailLength);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+// Record the current view in the address bar. Rapid changes (slider drags,
+// autoplay) replace the last history entry instead of adding new ones.
+function syncUrlState() {
+    if (restoringUrlState) return;
+
+    const query = buildUrlQuery();
+    if (query === window.location.search) return;
+
+    const url = window.location.pathname + query + window.location.hash;
+    const now = Date.now();
+    if (isPlaying || now - lastUrlPush < URL_PUSH_COALESCE_MS) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+    lastUrlPush = now;
+}
+
+// Load state from the query string. Returns the values that were ignored.
+function applyUrlState(search) {
+    const params = new URLSearchParams(search);
+    // With lazily loaded seasons, teams and players may not have arrived yet
+    const partial = datasetMode === 'full' || urlDatasetMode(search) === 'full';
+    const options = seasonOptions([FIRST_SEASON, LAST_SEASON]);
+    const known = {
+        teams: partial ? null : new Set(options.teams),
+        players: partial ? null : new Set(options.players),
+        zones: new Set(options.zones),
+        actions: partial ? null : new Set(options.actions),
+        opponents: partial ? null : new Set(options.opponents),
+        regions: new Set(customRegions.map(r => r.name))
+    };
+    const warnings = [];
+    pendingUrlValues = [];
+
+    const filtersA = decodeFilters(params, '', known, warnings, pendingUrlValues);
+    const compareSide = params.get('compare');
+    compareMode = compareSide === 'A' || compareSide === 'B';
+
+    if (compareMode) {
+        filterStates = { A: filtersA, B: decodeFilters(params, 'b.', known, warnings, pendingUrlValues) };
+        activeSide = compareSide;
+        showDiffCourt = params.get('diff') === '1';
+    } else {
+        filterStates = { A: filtersA, B: null };
+        activeSide = 'A';
+    }
+    currentFilters = filterStates[activeSide];
+
+    const mode = params.get('mode');
+    renderMode = ['hexbin', 'density'].includes(mode) ? mode : 'scatter';
+    zoneMode = params.get('zones') === 'detail' ? 'detail' : 'basic';
+    const fill = params.get('fill');
+    zoneFill = ZONE_FILL_METRICS[fill] ? fill : 'none';
+
+    const speed = parseInt(params.get('speed'));
+    const speedOption = Array.from(document.getElementById('speedSelect').options).find(o => parseInt(o.value) === speed);
+    CONFIG.AUTOPLAY_DELAY_MS = speedOption ? speed : DEFAULT_AUTOPLAY_DELAY_MS;
+
+    smoothTransitions = params.get('smooth') !== '0';
+    const trail = parseInt(params.get('trail'));
+    const trailOption = Array.from(document.getElementById('trailSelect').options).find(o => parseInt(o.value) === trail);
+    trailLength = trailOption ? trail : 0;
+
+    return warnings;
+}
+
+// Sync non-filter controls (render mode, speed, compare UI) after a restore
+function syncViewControls() {
+    document.getElementById(`mode-${renderMode}`).checked = true;
+    document.getElementById(`zones-${zoneMode}`).checked = true;
+    document.getElementById('zoneFillSelect').value = zoneFill;
+    updateZoneFillLegend();
+    updateRenderLegend();
+    document.getElementById('speedSelect').value = CONFIG.AUTOPLAY_DELAY_MS;
+    document.getElementById('smoothToggle').checked = smoothTransitions;
+    document.getElementById('trailSelect').value = trailLength;
+    syncCompareControls();
+    syncFilterControls();
+}
+
+// Once every season of the ranges they were named for has loaded, drop the
+// pending link values those seasons don't have and add them to the link
+// warning. Returns whether any filter changed; the caller redraws.
+function checkPendingUrlValues() {
+    if (pendingUrlValues.length === 0) return false;
+    const sides = [...new Set(pendingUrlValues.map(p => p.filters))];
+    if (!sides.every(f => seasonYears(f.seasons).every(isSeasonReady))) return false;
+
+    const options = new Map(sides.map(f => [f, seasonOptions(f.seasons)]));
+    const unknown = pendingUrlValues.filter(p => !options.get(p.filters)[p.field].includes(p.value));
+    pendingUrlValues = [];
+    if (unknown.length === 0) return false;
+
+    unknown.forEach(p => {
+        p.filters[p.field] = p.filters[p.field].filter(v => v !== p.value);
+    });
+    urlWarnings = urlWarnings.concat(unknown.map(p => p.label));
+    showUrlWarning(urlWarnings);
+    // Correct the link in place rather than adding a history entry
+    history.replaceState(null, '', window.location.pathname + buildUrlQuery() + window.location.hash);
+    return true;
+}
+
+function showUrlWarning(warnings) {
+    const el = document.getElementById('urlWarning');
+    if (warnings.length === 0) {
+        el.classList.add('d-none');
+        return;
+    }
+    el.querySelector('.url-warning-text').textContent =
+        `Some values in this link are not in the loaded data and were ignored: ${warnings.join(', ')}.`;
+    el.classList.remove('d-none');
+}
+
+const urlDatasetMode = (search) => new URLSearchParams(search).get('data') === 'full' ? 'full' : 'sample';
+
+// Latest season of each range in the query string, for the first load
+function urlSeasons(search) {
+    const params = new URLSearchParams(search);
+    const keys = params.has('compare') ? ['season', 'b.season'] : ['season'];
+    return keys.map(key => (parseSeasons(params.get(key)) || [FIRST_SEASON, LAST_SEASON])[1]);
+}
+
+function restoreFromUrl() {
+    stopPlayback();
+    restoringUrlState = true;
+    const mode = urlDatasetMode(window.location.search);
+    urlWarnings = applyUrlState(window.location.search);
+    // After a dataset switch, pending values wait for the new data
+    if (mode === datasetMode) checkPendingUrlValues();
+    drawCourts();
+    syncViewControls();
+    updateVisualization();
+    restoringUrlState = false;
+    showUrlWarning(urlWarnings);
+
+    if (mode !== datasetMode) switchDataset(mode);
+}
+
+function copyShareLink() {
+    const btn = document.getElementById('copyLink');
+    const done = (label) => {
+        btn.innerHTML = label;
+        setTimeout(() => { btn.innerHTML = '<i class="bi bi-link-45deg"></i> Copy link'; }, 1500);
+    };
+
+    syncUrlState();
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(window.location.href)
+            .then(() => done('<i class="bi bi-check2"></i> Copied'))
+            .catch(() => done('Copy failed'));
+    } else {
+        done('Copy failed');
+    }
+}
+
+// ============================================
+// Export (PNG / SVG / CSV)
+// ============================================
+const EXPORT_HEADER_H = 56;
+const EXPORT_FOOTER_H = 44;
+const EXPORT_BG = '#161b22';
+const EXPORT_TEXT = '#e6edf3';
+const EXPORT_MUTED = '#8b949e';
+
+// The chart being exported: the single court, or the side being edited in compare mode
+const exportChart = () => mainChart || compareCharts[activeSide];
+
+function exportTitle(filters) {
+    const pieces = getFilterSummaryPieces(filters);
+    return pieces.length ? pieces.map(([label, value]) => `${label}: ${value}`).join(' · ') : 'All shots';
+}
 
-    // Team filter
-    if (currentFilters.teams.length > 0) {
-        const teamSet = new Set(currentFilters.teams);
-        dimensions.team.filterFunction(d => teamSet.has(d));
-    }
+function exportKpiLine(data, filters) {
+    const stats = computeShotStats(data, filters);
+    return [
+        `Shots ${fmtInt(stats.totalShots)}`,
+        `FG% ${fmtPct(stats.fg)}`,
+        `3P% ${fmtPct(stats.threePct)}`,
+        `3PA Rate ${fmtPct(stats.threePAR)}`,
+        `eFG% ${fmtPct(stats.efg)}`,
+        `ΔFG% vs League ${fmtPctDiff(stats.fg - stats.leagueFg)}`,
+        `Pts vs Exp. ${fmtSigned(stats.ptsVsExp)}`
+    ].join('   ');
+}
 
-    // Position filter (checkbox-based: G, F, C)
-    if (currentFilters.positions.length > 0) {
-        dimensions.position.filterFunction(d => {
-            const pos = (d || '').toUpperCase();
-            return currentFilters.positions.some(p => {
-                if (p === 'G') return pos.includes('G');
-                if (p === 'F') return pos.includes('F');
-                if (p === 'C') return pos === 'C' || pos.includes('CENTER');
-                return true;
-            });
-        });
-    }
+const exportFileName = (filters, ext) =>
+    'nba-shots-' + shortFilterLabel(filters).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') + '.' + ext;
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-    // Shot result filter
-    if (currentFilters.shotResult === 'made') {
-        dimensions.shotMade.filter(true);
-    } else if (currentFilters.shotResult === 'missed') {
-        dimensions.shotMade.filter(false);
-    }
+function serializeSvg(svgNode) {
+    const clone = svgNode.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    return new XMLSerializer().serializeToString(clone);
+}
 
-    // Player filter
-    if (currentFilters.players.length > 0) {
-        const playerSet = new Set(currentFilters.players);
-        dimensions.player.filterFunction(d => playerSet.has(d));
-    }
+function loadSvgImage(svgNode) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        const url = URL.createObjectURL(new Blob([serializeSvg(svgNode)], { type: 'image/svg+xml;charset=utf-8' }));
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = reject;
+        img.src = url;
+    });
+}
 
-    // Zone filter
-    if (currentFilters.zones.length > 0) {
-        const zoneSet = new Set(currentFilters.zones);
-        dimensions.zone.filterFunction(d => zoneSet.has(d));
+// Court, shots, title and KPI block composited onto one canvas at `scale`x
+async function composeViewCanvas(chart, data, filters, scale = 1) {
+    const width = chart.chartWidth;
+    const height = EXPORT_HEADER_H + chart.chartHeight + EXPORT_FOOTER_H;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const out = canvas.getContext('2d');
+    out.scale(scale, scale);
+
+    out.fillStyle = EXPORT_BG;
+    out.fillRect(0, 0, width, height);
+
+    out.fillStyle = EXPORT_TEXT;
+    out.font = '600 16px -apple-system, "Segoe UI", Roboto, sans-serif';
+    out.fillText('Evolution of Shots Across the NBA', 12, 22);
+    out.fillStyle = EXPORT_MUTED;
+    out.font = '12px -apple-system, "Segoe UI", Roboto, sans-serif';
+    out.fillText(exportTitle(filters), 12, 42, width - 24);
+
+    const courtImg = await loadSvgImage(chart.svg.node());
+    out.drawImage(courtImg, 0, EXPORT_HEADER_H, width, chart.chartHeight);
+
+    // Re-render the shots at full resolution instead of upscaling the screen canvas
+    const shotCanvas = document.createElement('canvas');
+    shotCanvas.width = Math.round(width * scale);
+    shotCanvas.height = Math.round(chart.chartHeight * scale);
+    const shotCtx = shotCanvas.getContext('2d');
+    shotCtx.scale(scale, scale);
+    renderShots(data, { ...chart, ctx: shotCtx }, filters);
+    out.drawImage(shotCanvas, 0, EXPORT_HEADER_H, width, chart.chartHeight);
+
+    if (zoneFill !== 'none') {
+        const labelImg = await loadSvgImage(chart.labelSvg.node());
+        out.drawImage(labelImg, 0, EXPORT_HEADER_H, width, chart.chartHeight);
     }
 
-    return dimensions.all.top(Infinity);
+    out.fillStyle = EXPORT_TEXT;
+    out.font = '12px -apple-system, "Segoe UI", Roboto, sans-serif';
+    out.fillText(exportKpiLine(data, filters), 12, EXPORT_HEADER_H + chart.chartHeight + 27, width - 24);
+
+    return canvas;
+}
+
+async function exportPng(scale) {
+    const chart = exportChart();
+    const data = applyFilters(currentFilters);
+    const canvas = await composeViewCanvas(chart, data, currentFilters, scale);
+    canvas.toBlob(blob => downloadBlob(blob, exportFileName(currentFilters, 'png')), 'image/png');
+}
+
+function exportSvg() {
+    const chart = exportChart();
+    const data = applyFilters(currentFilters);
+    const width = chart.chartWidth;
+    const height = EXPORT_HEADER_H + chart.chartHeight + EXPORT_FOOTER_H;
+
+    const doc = d3.create('svg')
+        .attr('xmlns', 'http://www.w3.org/2000/svg')
+        .attr('width', width)
+        .attr('height', height)
+        .attr('font-family', '-apple-system, "Segoe UI", Roboto, sans-serif');
+
+    doc.append('rect').attr('width', width).attr('height', height).attr('fill', EXPORT_BG);
+    doc.append('text').attr('x', 12).attr('y', 22).attr('font-size', 16).attr('font-weight', 600)
+        .attr('fill', EXPORT_TEXT).text('Evolution of Shots Across the NBA');
+    doc.append('text').attr('x', 12).attr('y', 42).attr('font-size', 12)
+        .attr('fill', EXPORT_MUTED).text(exportTitle(currentFilters));
+
+    // Court as a nested SVG, shots as vector circles in the same pixel space
+    const court = doc.append('g').attr('transform', `translate(0, ${EXPORT_HEADER_H})`);
+    court.node().appendChild(chart.svg.node().cloneNode(true));
+
+    court.append('g')
+        .attr('class', 'shots')
+        .attr('fill-opacity', CONFIG.DOT_A)
+        .selectAll('circle')
+        .data(data)
+        .join('circle')
+        .attr('cx', d => shotPixelX(chart, d).toFixed(1))
+        .attr('cy', d => shotPixelY(chart, d).toFixed(1))
+        .attr('r', CONFIG.DOT_R)
+        .attr('fill', d => d._made ? 'green' : 'red');
+
+    if (zoneFill !== 'none') court.node().appendChild(chart.labelSvg.node().cloneNode(true));
+
+    doc.append('text').attr('x', 12).attr('y', EXPORT_HEADER_H + chart.chartHeight + 27).attr('font-size', 12)
+        .attr('fill', EXPORT_TEXT).text(exportKpiLine(data, currentFilters));
+
+    const blob = new Blob([new XMLSerializer().serializeToString(doc.node())], { type: 'image/svg+xml;charset=utf-8' });
+    downloadBlob(blob, exportFileName(currentFilters, 'svg'));
+}
+
+function exportCsv() {
+    const data = applyFilters(currentFilters);
+    if (data.length === 0) return;
+
+    // Original dataset columns, plus the normalized court position in feet
+    const columns = Object.keys(data[0]).filter(k => !k.startsWith('_')).concat(['_x', '_y']);
+    const rows = data.map(d => ({ ...d, _x: d._x.toFixed(2), _y: d._y.toFixed(2) }));
+    const blob = new Blob([d3.csvFormat(rows, columns)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, exportFileName(currentFilters, 'csv'));
 }
 
 // ============================================
-// Cascading Filters
+// Autoplay Recording (WebM / GIF)
 // ============================================
-function updateCascadingFilters(changedFilter = null) {
-    const filteredData = dimensions.all.top(Infinity);
+// Renders every autoplay season off-screen with the current filters, then
+// plays the frames at a fixed frame rate into a MediaRecorder (WebM) or the
+// GIF worker. Holds and cross-fades follow the speed and Smooth settings.
+const RECORD_FPS = 10;
+const GIF_WORKER_URL = 'js/gif-worker.js';
 
-    // Only update filters that don't have active selections
-    if (changedFilter !== 'team' && currentFilters.teams.length === 0) {
-        const teams = [...new Set(filteredData.map(d => d._team))].filter(Boolean).sort();
-        populateSelect('teamFilter', teams, currentFilters.teams);
+let recording = null;   // { cancelled, stop() } while a recording runs
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const canRecordWebm = () => typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+function setRecordProgress(text, share) {
+    document.getElementById('recordStatus').textContent = text;
+    document.getElementById('recordBar').style.width = `${Math.round(share * 100)}%`;
+}
+
+function setRecordingUi(active) {
+    document.getElementById('recordProgress').classList.toggle('d-none', !active);
+    document.getElementById('playBtn').disabled = active;
+    document.getElementById('recordMenu').disabled = active;
+    if (active) setRecordProgress('Starting…', 0);
+}
+
+// Season (or range) in large type over the far end of the court
+function drawSeasonLabel(canvas, chart, label) {
+    const ctx = canvas.getContext('2d');
+    ctx.font = '700 30px -apple-system, "Segoe UI", Roboto, sans-serif';
+    ctx.textAlign = 'right';
+    const x = chart.chartWidth - 16;
+    const y = EXPORT_HEADER_H + 44;
+    ctx.fillStyle = 'rgba(22, 27, 34, 0.75)';
+    const labelWidth = ctx.measureText(label).width;
+    ctx.fillRect(x - labelWidth - 10, y - 32, labelWidth + 20, 42);
+    ctx.fillStyle = EXPORT_TEXT;
+    ctx.fillText(label, x, y);
+    ctx.textAlign = 'start';
+}
+
+// One composited frame per autoplay step. In full mode, seasons that are
+// not loaded yet are fetched first.
+async function renderSeasonFrames(chart, filters) {
+    const ranges = playbackRanges(filters.seasons);
+    const frames = [];
+    for (const seasons of ranges) {
+        const years = seasonYears(seasons);
+        setRecordProgress(`Rendering ${fmtSeasons(seasons)}`, frames.length / ranges.length / 2);
+        requestSeasons(years.filter(year => !isSeasonReady(year)), true);
+        while (!years.every(isSeasonReady)) {
+            if (recording.cancelled) return null;
+            await sleep(100);
+        }
+        if (recording.cancelled) return null;
+
+        const seasonFilters = { ...filters, seasons };
+        const data = applyFilters(seasonFilters);
+        // The court image is taken before the shots are drawn, so color its zones first
+        updateZoneColors(chart, filteredCells(), seasonFilters);
+        const frame = await composeViewCanvas(chart, data, seasonFilters);
+        drawSeasonLabel(frame, chart, fmtSeasons(seasons));
+        frames.push(frame);
+    }
+    return frames;
+}
+
+// Output frames: { from, to, t, ms }. Each season fades in from the last one
+// (when Smooth is on) and is held for the rest of the autoplay delay.
+function recordTimeline(frames) {
+    const frameMs = 1000 / RECORD_FPS;
+    const fadeSteps = smoothTransitions ? Math.round(fadeMs() / frameMs) : 0;
+    const timeline = [];
+    frames.forEach((frame, i) => {
+        let held = CONFIG.AUTOPLAY_DELAY_MS;
+        if (i > 0) {
+            for (let k = 1; k < fadeSteps; k++) {
+                timeline.push({ from: frames[i - 1], to: frame, t: d3.easeCubicInOut(k / fadeSteps), ms: frameMs });
+                held -= frameMs;
+            }
+        }
+        timeline.push({ from: null, to: frame, t: 1, ms: held });
+    });
+    return timeline;
+}
+
+function drawTimelineStep(ctx, step) {
+    ctx.globalAlpha = 1;
+    ctx.drawImage(step.from || step.to, 0, 0);
+    if (step.from) {
+        ctx.globalAlpha = step.t;
+        ctx.drawImage(step.to, 0, 0);
+        ctx.globalAlpha = 1;
+    }
+}
+
+function createFrameCanvas(frames) {
+    const canvas = document.createElement('canvas');
+    canvas.width = frames[0].width;
+    canvas.height = frames[0].height;
+    return canvas;
+}
+
+// MediaRecorder captures in real time, so the timeline is played at its own pace
+async function recordWebm(frames, filename) {
+    const canvas = createFrameCanvas(frames);
+    const ctx = canvas.getContext('2d');
+    const timeline = recordTimeline(frames);
+    drawTimelineStep(ctx, timeline[0]);
+
+    const stream = canvas.captureStream(RECORD_FPS);
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    recorder.start();
+    for (let i = 0; i < timeline.length && !recording.cancelled; i++) {
+        setRecordProgress(`Recording frame ${i + 1} of ${timeline.length}`, 0.5 + i / timeline.length / 2);
+        drawTimelineStep(ctx, timeline[i]);
+        await sleep(timeline[i].ms);
     }
+    recorder.stop();
+    await stopped;
+    stream.getTracks().forEach(track => track.stop());
+
+    if (!recording.cancelled) downloadBlob(new Blob(chunks, { type: 'video/webm' }), filename);
+}
+
+// Frames go to the worker one at a time, so at most one is in flight
+async function recordGif(frames, filename) {
+    const canvas = createFrameCanvas(frames);
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const timeline = recordTimeline(frames);
 
-    if (changedFilter !== 'player' && currentFilters.players.length === 0) {
-        const players = [...new Set(filteredData.map(d => d._player))].filter(Boolean).sort();
-        populateSelect('playerFilter', players, currentFilters.players);
+    const worker = new Worker(GIF_WORKER_URL);
+    let pending = null;
+    const reply = () => new Promise((resolve, reject) => { pending = { resolve, reject }; });
+    worker.onmessage = (event) => pending.resolve(event.data);
+    worker.onerror = (event) => pending.reject(new Error(event.message || 'GIF encoding failed'));
+    recording.stop = () => pending && pending.resolve({ type: 'cancelled' });
+
+    try {
+        worker.postMessage({ type: 'start', width, height });
+        for (let i = 0; i < timeline.length; i++) {
+            if (recording.cancelled) return;
+            setRecordProgress(`Encoding GIF frame ${i + 1} of ${timeline.length}`, 0.5 + i / timeline.length / 2);
+            drawTimelineStep(ctx, timeline[i]);
+            const rgba = ctx.getImageData(0, 0, width, height).data.buffer;
+            const encoded = reply();
+            worker.postMessage({ type: 'frame', rgba, delay: Math.round(timeline[i].ms / 10) }, [rgba]);
+            await encoded;
+        }
+        if (recording.cancelled) return;
+        const done = reply();
+        worker.postMessage({ type: 'finish' });
+        const { blob } = await done;
+        if (blob) downloadBlob(blob, filename);
+    } finally {
+        worker.terminate();
     }
+}
+
+async function recordAutoplay(format) {
+    if (recording) return;
+    stopPlayback();
+    const chart = exportChart();
+    const filters = cloneFilters(currentFilters);
+    recording = { cancelled: false, stop: () => {} };
+    setRecordingUi(true);
 
-    if (changedFilter !== 'zone' && currentFilters.zones.length === 0) {
-        const zones = [...new Set(filteredData.map(d => d._zone))].filter(Boolean).sort();
-        populateSelect('zoneFilter', zones, currentFilters.zones);
+    try {
+        const frames = await renderSeasonFrames(chart, filters);
+        if (frames && !recording.cancelled) {
+            const filename = exportFileName({ ...filters, seasons: [FIRST_SEASON, LAST_SEASON] }, format);
+            if (format === 'gif') await recordGif(frames, filename);
+            else await recordWebm(frames, filename);
+        }
+    } finally {
+        recording = null;
+        setRecordingUi(false);
+        // Put crossfilter and the zone colors back on the live filters
+        updateVisualization();
     }
 }
 
+function cancelRecording() {
+    if (!recording) return;
+    recording.cancelled = true;
+    recording.stop();
+}
+
 // ============================================
 // Update Visualization
 // ============================================
 function updateVisualization() {
-    const filteredData = applyFilters();
-    renderShots(filteredData);
-    updateKPIs(filteredData);
-    updateZoneBreakdown(filteredData);
+    ensureSeasonsLoaded();
+
+    if (compareMode) {
+        updateComparison();
+        updatePlayerProfile();
+        updateTrendChart();
+        syncUrlState();
+        return;
+    }
+
+    applyFilters(currentFilters, { rows: false });
+    const cells = filteredCells();
+    tweenMs = seasonTransitionMs();
+    renderMainShots(filteredRows(), cells);
+    updateKPIs(cells);
+    updateZoneBreakdown(cells);
+    tweenMs = 0;
+    updateRegionBreakdown();
+    updateActionBreakdown();
+    updateDistanceHistogram();
+    updatePlayerProfile();
+    updateLeaderboard();
+    updateTeamContext();
+    updateSideBalance();
+    updateTrendChart();
     renderFilterSummary();
+    syncUrlState();
+}
+
+// ============================================
+// Calibration Diagnostics
+// ============================================
+// Checks each loaded season's calibrated locations against the labels that
+// came with the shot, so a bad calibration entry shows up as a low pass rate.
+const DIAG_TOLERANCE_FT = 0.5;   // slack for shots on a line
+const DIAG_MIN_PASS = 0.95;
+const DIAG_MAX_DIST_ERR_FT = 1;
+
+const hoopDistance = (d) => Math.hypot(d._x, d._y - CONFIG.HOOP_Y);
+
+// Inside the 3PT line, grown (slack > 0) or shrunk (slack < 0) by `slack` ft
+function insideArc(d, slack) {
+    if (d._y < CONFIG.Y_BREAK) return Math.abs(d._x) < CONFIG.CORNER + slack;
+    return hoopDistance(d) < CONFIG.THREE_R + slack;
+}
+
+const CALIBRATION_CHECKS = [
+    {
+        label: 'RA ≤ 4 ft',
+        title: 'Restricted Area shots within 4 ft of the hoop',
+        applies: d => d._zone === 'Restricted Area',
+        passes: d => hoopDistance(d) <= 4 + DIAG_TOLERANCE_FT
+    },
+    {
+        label: '3PT beyond arc',
+        title: '3PT shots that land outside the arc',
+        applies: d => d._three,
+        passes: d => !insideArc(d, -DIAG_TOLERANCE_FT)
+    },
+    {
+        label: '2PT inside arc',
+        title: '2PT shots that land inside the arc',
+        applies: d => !d._three,
+        passes: d => insideArc(d, DIAG_TOLERANCE_FT)
+    },
+    {
+        label: 'Corner side',
+        title: 'Corner 3s on the side their zone names (left corner = positive x)',
+        applies: d => d._zone === 'Left Corner 3' || d._zone === 'Right Corner 3',
+        passes: d => (d._zone === 'Left Corner 3') === (d._x > 0)
+    }
+];
+
+function computeCalibrationReport(data) {
+    const bySeason = d3.group(data, d => d.SEASON_1);
+
+    return SEASONS.filter(year => bySeason.has(String(year))).map(year => {
+        const rows = bySeason.get(String(year));
+        const checks = CALIBRATION_CHECKS.map(check => {
+            let n = 0, pass = 0;
+            rows.forEach(d => {
+                if (!check.applies(d)) return;
+                n += 1;
+                if (check.passes(d)) pass += 1;
+            });
+            return { n, rate: n ? pass / n : null };
+        });
+        // Null when the season has no usable SHOT_DISTANCE values
+        const distErr = d3.median(rows, d => Math.abs(hoopDistance(d) - d.SHOT_DISTANCE));
+        return { year, shots: rows.length, checks, distErr: distErr === undefined ? null : distErr };
+    });
+}
+
+function describeCalibration(year) {
+    const entry = calibrationFor(year);
+    const fromFile = calibration.source[year] || (!calibration.seasons[year] && calibration.source.default);
+    return `${entry.type}${entry.jitter ? `, jitter ${entry.jitter}` : ''}${fromFile ? ' (json)' : ''}`;
+}
+
+function renderCalibrationReport() {
+    const report = computeCalibrationReport(allData);
+    const flag = (ok) => ok ? 'fg-positive' : 'fg-negative';
+
+    const rows = report.map(r => `
+        <tr>
+            <td>${r.year}</td>
+            <td title="${JSON.stringify(calibrationFor(r.year)).replace(/"/g, '&quot;')}">${describeCalibration(r.year)}</td>
+            <td>${fmtInt(r.shots)}</td>
+            ${r.checks.map(c => c.rate === null ? '<td>–</td>'
+                : `<td class="${flag(c.rate >= DIAG_MIN_PASS)}" title="${fmtInt(c.n)} shots">${fmtPct(c.rate)}</td>`).join('')}
+            ${r.distErr === null ? '<td>–</td>'
+                : `<td class="${flag(r.distErr <= DIAG_MAX_DIST_ERR_FT)}">${r.distErr.toFixed(2)} ft</td>`}
+        </tr>`).join('');
+
+    document.getElementById('calibrationTable').innerHTML = `
+        <thead>
+            <tr>
+                <th>Season</th><th>Calibration</th><th>Shots</th>
+                ${CALIBRATION_CHECKS.map(c => `<th title="${c.title}">${c.label}</th>`).join('')}
+                <th title="Median gap between calibrated distance and SHOT_DISTANCE">Dist. error</th>
+            </tr>
+        </thead>
+        <tbody>${rows || '<tr><td colspan="8" class="text-secondary">No seasons loaded yet.</td></tr>'}</tbody>
+    `;
+
+    const missing = SEASONS.length - report.length;
+    document.getElementById('calibrationNote').textContent =
+        `Pass rates allow ${DIAG_TOLERANCE_FT} ft of slack; below ${fmtPct(DIAG_MIN_PASS)} ` +
+        `(or a median distance error over ${DIAG_MAX_DIST_ERR_FT} ft) is flagged.` +
+        (missing > 0 ? ` ${missing} season${missing === 1 ? ' is' : 's are'} not loaded.` : '');
+
+    const warnings = document.getElementById('calibrationWarnings');
+    warnings.classList.toggle('d-none', calibration.warnings.length === 0);
+    warnings.textContent = calibration.warnings.length
+        ? `Ignored calibration overrides: ${calibration.warnings.join('; ')}` : '';
 }
 
 // ============================================
 // Event Handlers
 // ============================================
 function setupEventListeners() {
-    const seasonSlider = document.getElementById('seasonSlider');
-    const seasonLabel = document.getElementById('seasonLabel');
-    const seasonDropdown = document.getElementById('seasonDropdown');
-
-    // Season Slider: 0 = all, 1-21 = years 2004-2024
-    const indexToYear = (idx) => idx === 0 ? 'all' : 2003 + idx;
-    const yearToIndex = (year) => year === 'all' ? 0 : year - 2003;
-
-    seasonSlider.addEventListener('input', function() {
-        const idx = parseInt(this.value);
-        const year = indexToYear(idx);
-
-        if (year === 'all') {
-            currentFilters.season = 'all';
-            seasonLabel.textContent = 'All Seasons';
-            seasonDropdown.value = 'all';
-        } else {
-            currentFilters.season = year;
-            seasonLabel.textContent = year;
-            seasonDropdown.value = year;
-        }
-        populateFilters();
-        updateVisualization();
+    // Season range slider: a handle dragged past the other pushes it along
+    document.getElementById('seasonFrom').addEventListener('input', function() {
+        const from = parseInt(this.value);
+        setSeasonRange([from, Math.max(from, currentFilters.seasons[1])]);
+    });
+    document.getElementById('seasonTo').addEventListener('input', function() {
+        const to = parseInt(this.value);
+        setSeasonRange([Math.min(to, currentFilters.seasons[0]), to]);
     });
 
-    // Season Dropdown (synced with slider)
-    seasonDropdown.addEventListener('change', function() {
-        if (this.value === 'all') {
-            currentFilters.season = 'all';
-            seasonSlider.value = 0;
-            seasonLabel.textContent = 'All Seasons';
-        } else {
-            const year = parseInt(this.value);
-            currentFilters.season = year;
-            seasonSlider.value = yearToIndex(year);
-            seasonLabel.textContent = year;
-        }
-        populateFilters();
-        updateVisualization();
+    // Season presets (synced with the slider)
+    populateSeasonPresets();
+    document.getElementById('seasonPreset').addEventListener('change', function() {
+        if (this.value !== 'custom') setSeasonRange(this.value.split('-').map(Number));
     });
 
     // Play/Pause button
@@ -886,19 +5039,69 @@ function setupEventListeners() {
         }
     });
 
+    // Render mode (scatter / hexbin / density)
+    document.querySelectorAll('input[name="renderMode"]').forEach(input => {
+        input.addEventListener('change', function() {
+            renderMode = this.value;
+            updateRenderLegend();
+            updateVisualization();
+        });
+    });
+
+    // Zone trend metric
+    document.querySelectorAll('input[name="trendMetric"]').forEach(input => {
+        input.addEventListener('change', function() {
+            trendMetric = this.value;
+            updateTrendChart();
+        });
+    });
+
+    // Compare mode
+    document.getElementById('compareToggle').addEventListener('click', function() {
+        setCompareMode(!compareMode);
+    });
+
+    document.querySelectorAll('input[name="compareSide"]').forEach(input => {
+        input.addEventListener('change', function() {
+            setActiveSide(this.value);
+        });
+    });
+
+    document.getElementById('copySide').addEventListener('click', function() {
+        const otherSide = activeSide === 'A' ? 'B' : 'A';
+        filterStates[otherSide] = cloneFilters(currentFilters);
+        updateVisualization();
+    });
+
+    document.getElementById('diffCourtToggle').addEventListener('change', function() {
+        showDiffCourt = this.checked;
+        drawCourts();
+        updateVisualization();
+    });
+
     // Speed selector
+    // The playback loop reads the delay every frame, so no restart is needed
     document.getElementById('speedSelect').addEventListener('change', function() {
         CONFIG.AUTOPLAY_DELAY_MS = parseInt(this.value);
-        if (isPlaying) {
-            stopPlayback();
-            startPlayback();
-        }
+        syncUrlState();
+    });
+
+    // Season transitions
+    document.getElementById('smoothToggle').addEventListener('change', function() {
+        smoothTransitions = this.checked;
+        if (!smoothTransitions) finishTweens();
+        syncUrlState();
+    });
+
+    document.getElementById('trailSelect').addEventListener('change', function() {
+        trailLength = parseInt(this.value);
+        updateVisualization();
     });
 
     // Team filter
     document.getElementById('teamFilter').addEventListener('change', function() {
         currentFilters.teams = Array.from(this.selectedOptions, opt => opt.value);
-        applyFilters();
+        applyFilters(currentFilters, { rows: false });
         updateCascadingFilters('team');
         updateVisualization();
     });
@@ -930,10 +5133,45 @@ function setupEventListeners() {
         });
     });
 
+    // Shot type filter
+    document.querySelectorAll('input[name="shotType"]').forEach(input => {
+        input.addEventListener('change', function() {
+            currentFilters.shotType = this.value;
+            updateVisualization();
+        });
+    });
+
+    // Quarter filter (checkboxes)
+    document.querySelectorAll('#quarterFilter input').forEach(input => {
+        input.addEventListener('change', function() {
+            if (this.value === 'all') {
+                if (this.checked) {
+                    currentFilters.quarters = [];
+                    document.querySelectorAll('#quarterFilter input:not([value="all"])').forEach(i => i.checked = false);
+                }
+            } else {
+                document.getElementById('qtr-all').checked = false;
+                currentFilters.quarters = Array.from(
+                    document.querySelectorAll('#quarterFilter input:checked:not([value="all"])'),
+                    i => parseInt(i.value)
+                );
+            }
+            updateVisualization();
+        });
+    });
+
+    // Game clock presets
+    document.getElementById('clutchPreset').addEventListener('click', applyClutchPreset);
+
+    document.getElementById('clearClock').addEventListener('click', function() {
+        clearGameClock();
+        updateVisualization();
+    });
+
     // Player filter
     document.getElementById('playerFilter').addEventListener('change', function() {
         currentFilters.players = Array.from(this.selectedOptions, opt => opt.value);
-        applyFilters();
+        applyFilters(currentFilters, { rows: false });
         updateCascadingFilters('player');
         updateVisualization();
     });
@@ -941,11 +5179,47 @@ function setupEventListeners() {
     // Zone filter
     document.getElementById('zoneFilter').addEventListener('change', function() {
         currentFilters.zones = Array.from(this.selectedOptions, opt => opt.value);
-        applyFilters();
+        applyFilters(currentFilters, { rows: false });
         updateCascadingFilters('zone');
         updateVisualization();
     });
 
+    // Opponent filter
+    document.getElementById('opponentFilter').addEventListener('change', function() {
+        currentFilters.opponents = Array.from(this.selectedOptions, opt => opt.value);
+        applyFilters(currentFilters, { rows: false });
+        updateCascadingFilters('opponent');
+        updateVisualization();
+    });
+
+    // Home/away filter
+    document.querySelectorAll('input[name="venue"]').forEach(input => {
+        input.addEventListener('change', function() {
+            currentFilters.venue = this.value;
+            updateVisualization();
+        });
+    });
+
+    // Game date range
+    ['dateFrom', 'dateTo'].forEach(id => {
+        document.getElementById(id).addEventListener('change', function() {
+            const from = document.getElementById('dateFrom').value;
+            const to = document.getElementById('dateTo').value;
+            // Swap a reversed range rather than matching nothing
+            currentFilters.dates = !from && !to ? null : (from && to && from > to ? [to, from] : [from, to]);
+            syncDateInputs();
+            updateVisualization();
+        });
+    });
+
+    // Action type filter
+    document.getElementById('actionFilter').addEventListener('change', function() {
+        currentFilters.actions = Array.from(this.selectedOptions, opt => opt.value);
+        applyFilters(currentFilters, { rows: false });
+        updateCascadingFilters('action');
+        updateVisualization();
+    });
+
     // Search inputs
     document.getElementById('teamSearch').addEventListener('input', function() {
         filterSelectOptions('teamFilter', this.value);
@@ -959,6 +5233,14 @@ function setupEventListeners() {
         filterSelectOptions('zoneFilter', this.value);
     });
 
+    document.getElementById('opponentSearch').addEventListener('input', function() {
+        filterSelectOptions('opponentFilter', this.value);
+    });
+
+    document.getElementById('actionSearch').addEventListener('input', function() {
+        filterSelectOptions('actionFilter', this.value);
+    });
+
     // Individual clear buttons
     document.getElementById('clearTeam').addEventListener('click', function() {
         currentFilters.teams = [];
@@ -980,6 +5262,8 @@ function setupEventListeners() {
 
     document.getElementById('clearZone').addEventListener('click', function() {
         currentFilters.zones = [];
+        currentFilters.subZones = [];
+        currentFilters.regions = [];
         document.getElementById('zoneFilter').selectedIndex = -1;
         document.getElementById('zoneSearch').value = '';
         filterSelectOptions('zoneFilter', '');
@@ -987,120 +5271,438 @@ function setupEventListeners() {
         updateVisualization();
     });
 
+    // Side balance: mirrored half courts
+    document.getElementById('sideCourtsToggle').addEventListener('change', function() {
+        showSideCourts = this.checked;
+        updateVisualization();
+    });
+
+    // Team context: offense / defense
+    document.querySelectorAll('input[name="teamView"]').forEach(input => {
+        input.addEventListener('change', function() {
+            teamView = this.value;
+            updateTeamContext();
+        });
+    });
+
+    // Leaderboard controls
+    document.getElementById('leaderMetric').addEventListener('change', function() {
+        leaderMetric = this.value;
+        updateLeaderboard();
+    });
+
+    document.getElementById('leaderMinFga').addEventListener('change', function() {
+        leaderMinFga = Math.max(1, parseInt(this.value) || 1);
+        this.value = leaderMinFga;
+        updateLeaderboard();
+    });
+
+    document.getElementById('clearOpponent').addEventListener('click', function() {
+        currentFilters.opponents = [];
+        document.getElementById('opponentFilter').selectedIndex = -1;
+        document.getElementById('opponentSearch').value = '';
+        filterSelectOptions('opponentFilter', '');
+        updateCascadingFilters('opponent');
+        updateVisualization();
+    });
+
+    document.getElementById('clearGame').addEventListener('click', function() {
+        currentFilters.venue = 'all';
+        currentFilters.dates = null;
+        document.getElementById('venue-all').checked = true;
+        syncDateInputs();
+        updateVisualization();
+    });
+
+    document.getElementById('clearDistance').addEventListener('click', function() {
+        currentFilters.distance = null;
+        syncDistanceBrush();
+        updateVisualization();
+    });
+
+    document.getElementById('clearAction').addEventListener('click', function() {
+        currentFilters.actions = [];
+        document.getElementById('actionFilter').selectedIndex = -1;
+        document.getElementById('actionSearch').value = '';
+        filterSelectOptions('actionFilter', '');
+        updateCascadingFilters('action');
+        updateVisualization();
+    });
+
     // Clear all filters button
     document.getElementById('resetFilters').addEventListener('click', resetFilters);
 
+    // Record menu (WebM needs MediaRecorder and canvas capture)
+    const webmItem = document.querySelector('[data-record="webm"]');
+    if (!canRecordWebm()) {
+        webmItem.classList.add('disabled');
+        webmItem.title = 'This browser cannot record canvas video';
+    }
+    document.querySelectorAll('[data-record]').forEach(item => {
+        item.addEventListener('click', function(event) {
+            event.preventDefault();
+            recordAutoplay(this.dataset.record).catch(err => console.error('Recording failed:', err));
+        });
+    });
+    document.getElementById('recordCancel').addEventListener('click', cancelRecording);
+
+    // Export menu
+    document.querySelectorAll('[data-export]').forEach(item => {
+        item.addEventListener('click', function(event) {
+            event.preventDefault();
+            const format = this.dataset.export;
+            if (format === 'png') {
+                exportPng(parseFloat(this.dataset.scale)).catch(err => console.error('PNG export failed:', err));
+            } else if (format === 'svg') {
+                exportSvg();
+            } else if (format === 'csv') {
+                exportCsv();
+            }
+        });
+    });
+
+    // Shareable link
+    document.getElementById('copyLink').addEventListener('click', copyShareLink);
+
+    // Calibration report is computed when the dialog opens
+    document.getElementById('calibrationModal').addEventListener('show.bs.modal', renderCalibrationReport);
+
+    // Zone choropleth metric
+    document.getElementById('zoneFillSelect').addEventListener('change', function() {
+        setZoneFill(this.value);
+    });
+
+    // Court zones: basic or the detailed 14-zone grid
+    document.querySelectorAll('input[name="zoneMode"]').forEach(radio => {
+        radio.addEventListener('change', function() {
+            if (this.checked) setZoneMode(this.value);
+        });
+    });
+
+    // Court pointer tool: zone clicks, box or lasso selection, region drawing
+    document.querySelectorAll('input[name="selectTool"]').forEach(radio => {
+        radio.addEventListener('change', function() {
+            if (!this.checked) return;
+            selectTool = this.value;
+            clearShotSelection();
+            [mainChart, compareCharts.A, compareCharts.B].filter(Boolean).forEach(chart => setSelectTool(chart, selectTool));
+        });
+    });
+    document.getElementById('clearSelection').addEventListener('click', clearShotSelection);
+    document.addEventListener('keydown', (event) => {
+        if (event.key !== 'Escape') return;
+        clearShotSelection();
+        [mainChart, ...Object.values(compareCharts)].filter(Boolean).forEach(chart => {
+            hideShotTooltip(chart, true);
+            // Drop a half-drawn region
+            if (chart.selectLayer && ['polygon', 'circle'].includes(selectTool)) setSelectTool(chart, selectTool);
+        });
+    });
+
+    // Custom regions: export and import as JSON
+    document.getElementById('regionExport').addEventListener('click', exportRegions);
+    document.getElementById('regionImport').addEventListener('change', function() {
+        if (this.files.length > 0) importRegions(this.files[0]);
+        this.value = '';
+    });
+
+    // Dataset: sampled or full (lazy per season)
+    document.querySelectorAll('input[name="dataset"]').forEach(radio => {
+        radio.addEventListener('change', function() {
+            if (this.checked) switchDataset(this.value);
+        });
+    });
+    document.querySelector('#urlWarning .btn-close').addEventListener('click', () => {
+        urlWarnings = [];
+        showUrlWarning(urlWarnings);
+    });
+    document.querySelector('#loadWarning .btn-close').addEventListener('click', () => {
+        document.getElementById('loadWarning').classList.add('d-none');
+    });
+    window.addEventListener('popstate', restoreFromUrl);
+
     // Window resize
     let resizeTimeout;
     window.addEventListener('resize', function() {
         clearTimeout(resizeTimeout);
         resizeTimeout = setTimeout(function() {
-            drawCourt();
+            drawCourts();
+            setupTimeBrush();
+            setupDistanceHistogram();
             updateVisualization();
         }, 250);
     });
 }
 
 function resetFilters() {
-    currentFilters.season = 'all';
+    currentFilters.seasons = [FIRST_SEASON, LAST_SEASON];
     currentFilters.teams = [];
+    currentFilters.opponents = [];
+    currentFilters.venue = 'all';
+    currentFilters.dates = null;
     currentFilters.positions = [];
     currentFilters.players = [];
     currentFilters.zones = [];
+    currentFilters.subZones = [];
+    currentFilters.regions = [];
+    currentFilters.actions = [];
     currentFilters.shotResult = 'all';
+    currentFilters.shotType = 'all';
 
     // Reset season controls
-    document.getElementById('seasonSlider').value = 0;
-    document.getElementById('seasonLabel').textContent = 'All Seasons';
-    document.getElementById('seasonDropdown').value = 'all';
+    syncSeasonControls();
 
     // Clear select elements
-    ['teamFilter', 'playerFilter', 'zoneFilter'].forEach(id => {
+    ['teamFilter', 'opponentFilter', 'playerFilter', 'zoneFilter', 'actionFilter'].forEach(id => {
         const select = document.getElementById(id);
         if (select) select.selectedIndex = -1;
     });
 
     // Clear search inputs
-    ['teamSearch', 'playerSearch', 'zoneSearch'].forEach(id => {
+    ['teamSearch', 'opponentSearch', 'playerSearch', 'zoneSearch', 'actionSearch'].forEach(id => {
         const input = document.getElementById(id);
         if (input) input.value = '';
     });
 
     // Reset filter option visibility
     filterSelectOptions('teamFilter', '');
+    filterSelectOptions('opponentFilter', '');
     filterSelectOptions('playerFilter', '');
     filterSelectOptions('zoneFilter', '');
+    filterSelectOptions('actionFilter', '');
 
     // Reset position checkboxes
     document.getElementById('pos-all').checked = true;
     document.querySelectorAll('#positionFilter input:not([value="all"])').forEach(i => i.checked = false);
 
-    // Reset shot result
+    // Reset shot result and type
     document.getElementById('shot-all').checked = true;
+    document.getElementById('type-all').checked = true;
+
+    // Reset game filters
+    document.getElementById('venue-all').checked = true;
+    syncDateInputs();
+
+    // Reset game clock and distance
+    clearGameClock();
+    currentFilters.distance = null;
+    syncDistanceBrush();
 
     stopPlayback();
     populateFilters();
     updateVisualization();
 }
 
+// ============================================
+// Season Transitions
+// ============================================
+// When the main court steps to another season, the outgoing shots cross-fade
+// into the incoming ones and the KPI and zone numbers count over to their new
+// values. Every tween runs on one requestAnimationFrame loop; finishing them
+// (pause, smooth off) jumps each to its end state.
+const TRANSITION_SHARE = 0.6;     // share of the autoplay delay spent fading
+const TRANSITION_MAX_MS = 800;
+const TRAIL_ALPHA = 0.3;          // most recent trail season; older ones fade out
+
+let smoothTransitions = true;
+let trailLength = 0;              // previous seasons kept faintly visible
+let tweenMs = 0;                  // duration for tweens started by this update (0 = jump)
+
+const tweens = new Map();         // key -> { start, duration, step(t) }
+const shownValues = new Map();    // tween key -> number on screen
+let tweenFrame = null;
+
+const fadeMs = () => Math.min(CONFIG.AUTOPLAY_DELAY_MS * TRANSITION_SHARE, TRANSITION_MAX_MS);
+
+// Fade length for this update: only season steps on the main court animate
+function seasonTransitionMs() {
+    const chart = mainChart;
+    const seasonStep = chart && chart.shownSeason !== undefined && chart.shownSeason !== seasonKey(currentFilters);
+    return smoothTransitions && seasonStep ? fadeMs() : 0;
+}
+
+function startTween(key, duration, step) {
+    tweens.set(key, { start: performance.now(), duration, step });
+    if (!tweenFrame) tweenFrame = requestAnimationFrame(tickTweens);
+}
+
+function tickTweens() {
+    tweenFrame = null;
+    const now = performance.now();
+    tweens.forEach((tween, key) => {
+        const t = Math.min(1, (now - tween.start) / tween.duration);
+        tween.step(d3.easeCubicInOut(t));
+        if (t >= 1) tweens.delete(key);
+    });
+    if (tweens.size > 0) tweenFrame = requestAnimationFrame(tickTweens);
+}
+
+function finishTweens() {
+    tweens.forEach(tween => tween.step(1));
+    tweens.clear();
+    if (tweenFrame) {
+        cancelAnimationFrame(tweenFrame);
+        tweenFrame = null;
+    }
+}
+
+// Show a number, counting over from the value on screen while tweenMs > 0
+function tweenNumber(key, el, to, format) {
+    const from = shownValues.get(key);
+    const draw = (v) => {
+        shownValues.set(key, v);
+        el.textContent = format(v);
+    };
+
+    tweens.delete(key);
+    if (!tweenMs || from === undefined || from === to) {
+        draw(to);
+        return;
+    }
+    const value = d3.interpolateNumber(from, to);
+    draw(from);
+    startTween(key, tweenMs, t => draw(value(t)));
+}
+
+function copyCanvas(source) {
+    const copy = document.createElement('canvas');
+    copy.width = source.width;
+    copy.height = source.height;
+    copy.getContext('2d').drawImage(source, 0, 0);
+    return copy;
+}
+
+// Main court shots. A season step fades from whatever is on screen (even a
+// fade in progress) to the new render; trail mode keeps clean renders of the
+// previous seasons underneath, as long as the other filters stay the same.
+function renderMainShots(data, cells) {
+    const chart = mainChart;
+    if (!chart || !chart.ctx) return;
+
+    const seasonChanged = chart.shownSeason !== undefined && chart.shownSeason !== seasonKey(currentFilters);
+    const outgoing = tweenMs ? copyCanvas(chart.canvas) : null;
+    tweens.delete('shots');
+
+    const trailKey = JSON.stringify([renderMode, { ...currentFilters, seasons: null }]);
+    if (trailLength === 0 || trailKey !== chart.trailKey) chart.trail = [];
+    else if (seasonChanged && chart.seasonFrame) chart.trail = [chart.seasonFrame, ...chart.trail];
+    chart.trail = chart.trail.slice(0, trailLength);
+    chart.trailKey = trailKey;
+
+    renderShots(data, chart, currentFilters, cells);
+    chart.shownSeason = seasonKey(currentFilters);
+    chart.seasonFrame = trailLength > 0 || outgoing ? copyCanvas(chart.canvas) : null;
+    if (!outgoing && chart.trail.length === 0) return;
+
+    const draw = (t) => compositeShots(chart, outgoing, t);
+    draw(outgoing ? 0 : 1);
+    if (outgoing) startTween('shots', tweenMs, draw);
+}
+
+// Trail (oldest faintest), then the outgoing frame fading out under the
+// incoming one
+function compositeShots(chart, outgoing, t) {
+    const { ctx, canvas, trail } = chart;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    trail.forEach((frame, i) => {
+        ctx.globalAlpha = TRAIL_ALPHA * (1 - i / trail.length);
+        ctx.drawImage(frame, 0, 0);
+    });
+    if (outgoing && t < 1) {
+        ctx.globalAlpha = 1 - t;
+        ctx.drawImage(outgoing, 0, 0);
+    }
+    ctx.globalAlpha = t;
+    ctx.drawImage(chart.seasonFrame, 0, 0);
+    ctx.globalAlpha = 1;
+}
+
 // ============================================
 // Playback Controls
 // ============================================
+// Autoplay moves the season range forward one season at a time, keeping its
+// width; from "all seasons" it plays single seasons. Steps come every
+// AUTOPLAY_DELAY_MS on requestAnimationFrame. The delay is read every frame
+// and each step starts from the range shown now, so speed changes and slider
+// moves apply without a restart.
+
+// Every range autoplay passes through for a range of this width
+function playbackRanges(seasons) {
+    const width = isAllSeasons(seasons) ? 1 : seasons[1] - seasons[0] + 1;
+    return d3.range(FIRST_SEASON, LAST_SEASON - width + 2).map(from => [from, from + width - 1]);
+}
+
 function startPlayback() {
     isPlaying = true;
     document.getElementById('playIcon').className = 'bi bi-pause-fill';
 
-    const slider = document.getElementById('seasonSlider');
-    let currentIdx = parseInt(slider.value);
-
-    // Start from index 1 (year 2004) if on "all" (0) or at the end (21 = 2024)
-    if (currentIdx === 0 || currentIdx >= 21) {
-        currentIdx = 1;
-        const year = 2004;
-        slider.value = currentIdx;
-        document.getElementById('seasonLabel').textContent = year;
-        document.getElementById('seasonDropdown').value = year;
-        currentFilters.season = year;
-        populateFilters();
-        updateVisualization();
+    // Start from 2004 if on "all" or already at the end
+    if (isAllSeasons(currentFilters.seasons) || currentFilters.seasons[1] >= LAST_SEASON) {
+        setSeasonRange(playbackRanges(currentFilters.seasons)[0]);
     }
 
-    playInterval = setInterval(() => {
-        currentIdx++;
-        if (currentIdx > 21) {
+    let lastStep = performance.now();
+    const step = () => {
+        playFrame = requestAnimationFrame(step);
+        const now = performance.now();
+        if (now - lastStep < CONFIG.AUTOPLAY_DELAY_MS) return;
+
+        // Hold on a range that is still loading
+        const [from, to] = currentFilters.seasons;
+        if (!seasonYears([from, to]).every(isSeasonReady)) return;
+
+        lastStep = now;
+        if (to >= LAST_SEASON) {
             stopPlayback();
             return;
         }
-        const year = 2003 + currentIdx;
-        slider.value = currentIdx;
-        document.getElementById('seasonLabel').textContent = year;
-        document.getElementById('seasonDropdown').value = year;
-        currentFilters.season = year;
-        populateFilters();
-        updateVisualization();
-    }, CONFIG.AUTOPLAY_DELAY_MS);
+        setSeasonRange([from + 1, to + 1]);
+    };
+    playFrame = requestAnimationFrame(step);
 }
 
+// Pausing lands any running transition on the season the slider shows
 function stopPlayback() {
     isPlaying = false;
     document.getElementById('playIcon').className = 'bi bi-play-fill';
-    if (playInterval) {
-        clearInterval(playInterval);
-        playInterval = null;
+    if (playFrame) {
+        cancelAnimationFrame(playFrame);
+        playFrame = null;
     }
+    finishTweens();
 }
 
 // ============================================
 // Initialization
 // ============================================
+// Nothing from the full dataset loaded: show the sample instead and drop
+// `data=full` from the link, keeping the season failures in the warning
+async function fallBackToSample() {
+    datasetMode = 'sample';
+    seasonStatus.clear();
+    const params = new URLSearchParams(window.location.search);
+    params.delete('data');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+    await loadData([sampleFile]);
+}
+
 async function init() {
     try {
-        await loadData();
+        datasetMode = urlDatasetMode(window.location.search);
+        await loadCalibration();
+        await loadData(initialFiles(urlSeasons(window.location.search)));
+        if (allData.length === 0 && datasetMode === 'full') await fallBackToSample();
+        if (allData.length === 0) throw new Error('No shot data could be loaded');
+
+        loadRegions();
         setupCrossfilter(allData);
-        populateFilters();
-        drawCourt();
+        syncDatasetControls();
+        renderSeasonStatus();
+        setupTimeBrush();
+        setupDistanceHistogram();
         setupEventListeners();
-        updateVisualization();
+        restoreFromUrl();
 
         document.getElementById('loading-overlay').classList.add('hidden');
         console.log('NBA Shot Chart initialized successfully!');
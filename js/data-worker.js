@@ -0,0 +1,201 @@
+// ============================================
+// Data Worker
+// ============================================
+// Fetches shot CSVs off the main thread, parses them as the bytes arrive and
+// applies the season-specific coordinate normalization. Parsed rows are
+// posted back in batches.
+//
+// Messages in:
+//   { type: 'load', requestId, files: [{ id, url }], config, concurrency }
+//   { type: 'cancel', requestId }
+// Messages out:
+//   { type: 'progress',  requestId, id, loaded, total }
+//   { type: 'rows',      requestId, id, rows }
+//   { type: 'fileDone',  requestId, id, count }
+//   { type: 'fileError', requestId, id, message }
+//   { type: 'done',      requestId }
+
+importScripts('https://d3js.org/d3.v6.min.js');
+
+const BATCH_SIZE = 50000;
+const cancelled = new Set();
+
+// Random normal generator for jitter
+const randn = (sigma) => {
+    let u = 0, v = 0;
+    while (u === 0) u = Math.random();
+    while (v === 0) v = Math.random();
+    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v) * sigma;
+};
+
+const toFeet = (v) => {
+    const n = +v;
+    return Math.abs(n) > 60 ? n / 10 : n;
+};
+
+// GAME_DATE is MM-DD-YYYY; ISO dates sort and compare as strings
+const toIsoDate = (v) => {
+    const m = /^(\d{2})-(\d{2})-(\d{4})$/.exec(v || '');
+    if (m) return `${m[3]}-${m[1]}-${m[2]}`;
+    return /^\d{4}-\d{2}-\d{2}/.test(v || '') ? v.slice(0, 10) : '';
+};
+
+// Seconds left in the period, or null when the clock wasn't recorded
+const secsLeft = (d) => {
+    if (!d.MINS_LEFT || !d.SECS_LEFT) return null;
+    return (+d.MINS_LEFT || 0) * 60 + (+d.SECS_LEFT || 0);
+};
+
+// Calibration transform types: raw LOC_X/LOC_Y -> [x, y] in court feet.
+// The per-season table in app.js picks a type and its parameters.
+const CALIBRATIONS = {
+    feet: (locX, locY, c, config) => {
+        const y = toFeet(locY);
+        return [toFeet(locX), c.originAtRim ? config.HOOP_Y + y : y];
+    },
+    linear: (locX, locY, c) => [c.x[0] * locX + c.x[1], c.y[0] * locY + c.y[1]]
+};
+
+// Raw CSV row -> app row with normalized court position (feet) and the
+// derived fields the app filters on. Returns null for rows without a position.
+function normalizeShot(d, config) {
+    const year = +d.SEASON_1;
+    const locX = +d.LOC_X;
+    const locY = +d.LOC_Y;
+
+    const calibration = config.calibration.seasons[year] || config.calibration.default;
+    let [xTrue, yTrue] = CALIBRATIONS[calibration.type](locX, locY, calibration, config);
+    if (calibration.jitter) {
+        xTrue += randn(calibration.jitter);
+        yTrue += randn(calibration.jitter);
+    }
+
+    const pos = d.POSITION_GROUP || d.POSITION || '';
+    if (pos.trim() === '') return null;
+
+    const made = d.SHOT_MADE === 'True' || d.SHOT_MADE === 'true' || d.SHOT_MADE === '1' || d.SHOT_MADE === true;
+    const three = (d.SHOT_TYPE || '').includes('3PT');
+    const distance = +d.SHOT_DISTANCE;
+
+    // Home/away and opponent, when the shooter's abbreviation is one of the two
+    const own = config.TEAM_ABBR[d.TEAM_NAME];
+    const home = !own ? null : d.HOME_TEAM === own ? true : d.AWAY_TEAM === own ? false : null;
+
+    return {
+        ...d,
+        _x: xTrue,
+        _y: yTrue,
+        _made: made,
+        _player: d.PLAYER_NAME || '',
+        _team: d.TEAM_NAME || '',
+        _pos: pos,
+        _zone: d.BASIC_ZONE || d.SHOT_ZONE_BASIC || '',
+        _three: three,
+        _pts: made ? (three ? 3 : 2) : 0,
+        _band: d3.bisectRight(config.DISTANCE_BANDS, distance),
+        _quarter: +d.QUARTER || 0,
+        _secsLeft: secsLeft(d),
+        _home: home,
+        _opp: home === null ? '' : (home ? d.AWAY_TEAM : d.HOME_TEAM),
+        _date: toIsoDate(d.GAME_DATE),
+        SEASON_1: String(year),
+        LOC_X: locX,
+        LOC_Y: locY,
+        SHOT_DISTANCE: distance
+    };
+}
+
+// Stream one file: parse complete lines as chunks arrive and post rows in
+// batches. The dataset has no quoted newlines, so splitting on '\n' is safe.
+async function loadFile(file, config, requestId) {
+    const response = await fetch(file.url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const total = +response.headers.get('Content-Length') || 0;
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    let loaded = 0;
+    let buffer = '';
+    let header = null;
+    let batch = [];
+    let count = 0;
+
+    const flush = () => {
+        if (batch.length === 0) return;
+        postMessage({ type: 'rows', requestId, id: file.id, rows: batch });
+        count += batch.length;
+        batch = [];
+    };
+
+    const parseLines = (text) => {
+        const rows = d3.csvParseRows(text);
+        let start = 0;
+        if (!header) {
+            header = rows[0];
+            start = 1;
+        }
+        for (let i = start; i < rows.length; i++) {
+            const values = rows[i];
+            if (values.length < 2) continue;
+            const raw = {};
+            for (let c = 0; c < header.length; c++) raw[header[c]] = values[c];
+            const row = normalizeShot(raw, config);
+            if (row) batch.push(row);
+        }
+        if (batch.length >= BATCH_SIZE) flush();
+    };
+
+    for (;;) {
+        if (cancelled.has(requestId)) {
+            reader.cancel();
+            throw new Error('Cancelled');
+        }
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        loaded += value.length;
+        buffer += decoder.decode(value, { stream: true });
+        postMessage({ type: 'progress', requestId, id: file.id, loaded, total });
+
+        const lastNewline = buffer.lastIndexOf('\n');
+        if (lastNewline >= 0) {
+            parseLines(buffer.slice(0, lastNewline));
+            buffer = buffer.slice(lastNewline + 1);
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim() !== '') parseLines(buffer);
+    flush();
+
+    postMessage({ type: 'progress', requestId, id: file.id, loaded, total: total || loaded });
+    return count;
+}
+
+// Load files with at most `concurrency` fetches in flight
+async function loadAll({ requestId, files, config, concurrency = 4 }) {
+    const queue = files.slice();
+
+    const next = async () => {
+        while (queue.length > 0 && !cancelled.has(requestId)) {
+            const file = queue.shift();
+            try {
+                const count = await loadFile(file, config, requestId);
+                postMessage({ type: 'fileDone', requestId, id: file.id, count });
+            } catch (error) {
+                postMessage({ type: 'fileError', requestId, id: file.id, message: error.message });
+            }
+        }
+    };
+
+    await Promise.all(d3.range(Math.min(concurrency, files.length)).map(next));
+    cancelled.delete(requestId);
+    postMessage({ type: 'done', requestId });
+}
+
+self.onmessage = (event) => {
+    const msg = event.data;
+    if (msg.type === 'load') loadAll(msg);
+    else if (msg.type === 'cancel') cancelled.add(msg.requestId);
+};
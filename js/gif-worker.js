@@ -0,0 +1,162 @@
+// ============================================
+// GIF Worker
+// ============================================
+// Encodes recorded autoplay frames into an animated GIF off the main thread.
+// Each frame gets its own 256-color palette (the most common colors at 5 bits
+// per channel), which suits the flat court, line and dot colors well.
+//
+// Messages in:
+//   { type: 'start',  width, height }
+//   { type: 'frame',  rgba (ArrayBuffer), delay (1/100 s) }
+//   { type: 'finish' }
+// Messages out:
+//   { type: 'frame', index }     after each frame is encoded
+//   { type: 'done',  blob }
+
+const PALETTE_SIZE = 256;
+const MAX_CODE = 4096;
+
+let gif = null;   // { width, height, chunks, frames }
+
+const u16 = (n) => [n & 0xff, (n >> 8) & 0xff];
+
+// 15-bit color key for an RGBA offset
+const colorKey = (rgba, i) => ((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3);
+
+// Most common colors, then each pixel's nearest palette entry
+function quantize(rgba) {
+    const counts = new Uint32Array(1 << 15);
+    for (let i = 0; i < rgba.length; i += 4) counts[colorKey(rgba, i)]++;
+
+    const used = [];
+    counts.forEach((n, key) => { if (n > 0) used.push(key); });
+    used.sort((a, b) => counts[b] - counts[a]);
+    const palette = used.slice(0, PALETTE_SIZE);
+
+    const rgb = (key) => [((key >> 10) & 31) << 3 | 4, ((key >> 5) & 31) << 3 | 4, (key & 31) << 3 | 4];
+    const paletteRgb = palette.map(rgb);
+    const lookup = new Int16Array(1 << 15).fill(-1);
+    palette.forEach((key, index) => { lookup[key] = index; });
+
+    const nearest = (key) => {
+        const [r, g, b] = rgb(key);
+        let best = 0;
+        let bestDist = Infinity;
+        paletteRgb.forEach(([pr, pg, pb], index) => {
+            const dist = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = index;
+            }
+        });
+        return best;
+    };
+
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+        const key = colorKey(rgba, i);
+        if (lookup[key] < 0) lookup[key] = nearest(key);
+        indices[p] = lookup[key];
+    }
+
+    const table = new Uint8Array(PALETTE_SIZE * 3);
+    paletteRgb.forEach((color, index) => table.set(color, index * 3));
+    return { indices, table };
+}
+
+// GIF-flavored LZW: variable code size from minCodeSize + 1 up to 12 bits,
+// with a clear code once the table is full. Returns the data sub-blocks.
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dict = new Map();
+    let buffer = 0;
+    let bits = 0;
+
+    const emit = (code) => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            bytes.push(buffer & 0xff);
+            buffer >>= 8;
+            bits -= 8;
+        }
+    };
+    // Widen codes once the next free code no longer fits
+    const emitCode = (code) => {
+        emit(code);
+        if (nextCode >= 1 << codeSize && codeSize < 12) codeSize++;
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = prefix * PALETTE_SIZE + indices[i];
+        const code = dict.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emitCode(prefix);
+        prefix = indices[i];
+        if (nextCode < MAX_CODE) {
+            dict.set(key, nextCode++);
+        } else {
+            emit(clearCode);
+            dict = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        }
+    }
+    emitCode(prefix);
+    emit(endCode);
+    if (bits > 0) bytes.push(buffer & 0xff);
+
+    const blocks = [];
+    for (let i = 0; i < bytes.length; i += 255) {
+        const block = bytes.slice(i, i + 255);
+        blocks.push(block.length, ...block);
+    }
+    blocks.push(0);
+    return blocks;
+}
+
+function start({ width, height }) {
+    gif = { width, height, chunks: [], frames: 0 };
+    gif.chunks.push(new Uint8Array([
+        ...[...'GIF89a'].map(c => c.charCodeAt(0)),
+        ...u16(width), ...u16(height), 0, 0, 0,
+        // Loop forever (NETSCAPE2.0 application extension)
+        0x21, 0xff, 0x0b, ...[...'NETSCAPE2.0'].map(c => c.charCodeAt(0)), 0x03, 0x01, 0, 0, 0
+    ]));
+}
+
+function addFrame({ rgba, delay }) {
+    const { indices, table } = quantize(new Uint8ClampedArray(rgba));
+    const { width, height } = gif;
+    gif.chunks.push(new Uint8Array([
+        // Graphic control: leave the frame in place, no transparency
+        0x21, 0xf9, 0x04, 0x04, ...u16(delay), 0, 0,
+        // Image descriptor with a 256-entry local color table
+        0x2c, 0, 0, 0, 0, ...u16(width), ...u16(height), 0x87
+    ]));
+    gif.chunks.push(table);
+    gif.chunks.push(new Uint8Array([8, ...lzwEncode(indices, 8)]));
+    postMessage({ type: 'frame', index: gif.frames++ });
+}
+
+function finish() {
+    gif.chunks.push(new Uint8Array([0x3b]));
+    postMessage({ type: 'done', blob: new Blob(gif.chunks, { type: 'image/gif' }) });
+    gif = null;
+}
+
+self.onmessage = (event) => {
+    const msg = event.data;
+    if (msg.type === 'start') start(msg);
+    else if (msg.type === 'frame') addFrame(msg);
+    else if (msg.type === 'finish') finish();
+};